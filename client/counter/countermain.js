@@ -5,8 +5,8 @@
  * https://dynin.com/berkeley-license/
  */
 
-const counterText = ["elements:stringJoin",
-  "s:The button was pressed ", "counter:state", "s: times."];
+const counterText = ["elements:formatOp",
+  "s:The button was pressed {0, plural, one {# time} other {# times}}.", "counter:state"];
 const counterLabel = ["makeTextView", counterText, "styles:Message"];
 const contentView =
     ["makeContainerView",
@@ -15,14 +15,25 @@ const contentView =
             ["makeContainerView",
                 counterLabel,
                 ["makeButtonView", "s:Increment", "counter:increment"],
-                ["makeButtonView", "s:Reset", "counter:reset", "styles:RedText"]
+                ["makeButtonView", "s:Reset", "counter:reset", "styles:RedText"],
+                ["makeVisibleView",
+                    ["makeButtonView", "s:Undo", "counter:undo"],
+                    "counter:canUndo"
+                ]
             ],
             ["elements:notEqualsOp", "counter:syncStatus", "elements:NOT_INITIALIZED"]
         ]
     ];
 
 function main() {
-  const isViewSource = makeBoxed(false, BooleanType);
+  if (typeof window == "object" && window.location.search.includes("debug")) {
+    // Inspect with Lifespan.tracker.dumpTree() and Lifespan.tracker.findGrowingReferences()
+    enableLifespanDebugging();
+  }
+
+  trackDatastoreHistory(counterData);
+
+  const isViewSource = makePersistentBoxed("counter.isViewSource", false, BooleanType);
   function toggleViewSource() { setValue(isViewSource, !getValue(isViewSource)); }
   const viewSource = makeLinkView(
     conditional(isViewSource, "Run", "View Source"), toggleViewSource, Styles.ViewSource);
@@ -39,7 +50,11 @@ function main() {
 
   const mainView = conditional(isViewSource, sourceView, content);
   const rootView = makeContainerView(mainView, makeStatusView(counterData, viewSource));
-  setRootView(rootView);
+  const renderedRoot = setRootView(rootView);
+  if (Lifespan.tracker != null) {
+    // Print the dependency graph of the rendered view with dumpGraph() or dumpGraph("dot")
+    window.dumpGraph = (format) => dumpDependencyGraph(renderedRoot, format);
+  }
 
   new DatastoreSync(counterData, notOp(isViewSource));
   sync(counterData, Priority.NORMAL, ForeverLifespan.instance);
@@ -80,7 +80,7 @@ class FieldConstruct extends Construct {
   }
 
   type() {
-    return this.field.type;
+    return this.field.fieldReference.type;
   }
 
   evaluate(context) {
@@ -99,7 +99,8 @@ class MethodConstruct extends Construct {
   }
 
   type() {
-    return this.method.resultType;
+    // Unless it's called, a method evaluates to its implementation.
+    return FunctionType;
   }
 
   evaluate(context) {
@@ -136,18 +137,40 @@ class CallConstruct extends Construct {
   }
 
   type() {
-    // TODO: result is a return type of the function.
-    return this.theFunction.type();
+    if (this.theFunction instanceof MethodConstruct) {
+      return this.theFunction.method.resultType;
+    } else {
+      return ObjectType;
+    }
+  }
+
+  /**
+   * Check the types of the arguments statically, if the function is a method
+   * with a signature.  Panics with an ArgumentError.
+   */
+  checkArgumentTypes() {
+    if (this.theFunction instanceof MethodConstruct &&
+        this.theFunction.method.parameters != null) {
+      this.theFunction.method.checkArgumentTypes(this.theArguments.length,
+          (index, parameter) => validateAssignableType(parameter.type,
+              this.theArguments[index].type(), parameter.name));
+    }
   }
 
   evaluate(context) {
-    const functionValue = this.theFunction.evaluate(context);
-    // TODO: gracefully handle type errors here.
-    FunctionType.check(functionValue);
     const callArguments = new Array();
     for (const argument of this.theArguments) {
      callArguments.push(argument.evaluate(context));
     }
+
+    if (this.theFunction instanceof MethodConstruct) {
+      // Method.call() checks the arguments against the signature.
+      return this.theFunction.method.call(callArguments);
+    }
+
+    const functionValue = this.theFunction.evaluate(context);
+    // TODO: gracefully handle type errors here.
+    FunctionType.check(functionValue);
     return functionValue(...callArguments);
   }
 
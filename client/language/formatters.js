@@ -21,6 +21,11 @@ const INDENT_SPACES = "    ";
 
 class ConstructTextFormatter extends ConstructVisitor {
   visitConstantConstruct(construct, indent) {
+    const type = construct.valueType;
+    if (type instanceof ParameterizedType && type.typeConstructor == "list") {
+      const elements = construct.value.elements.map((element) => '"' + element + '"');
+      return indent + "[" + elements.join(", ") + "]";
+    }
     return indent + '"' + construct.value + '"';
   }
 
@@ -68,6 +73,33 @@ const DOTDOTDOT = "\u00B7\u00B7\u00B7";
 const RIGHT_TRIANGLE = "\u25B8";
 const DOWN_TRIANGLE = "\u25BE";
 
+/**
+ * Describe a member for a tooltip: its signature or type, followed by the documentation
+ * of the member and of its parameters.
+ */
+function describeMember(member) {
+  const lines = [];
+  if (member instanceof Method) {
+    lines.push(member.getSignature());
+  } else if (member instanceof Field) {
+    lines.push(member.name + ": " + member.fieldReference.type.name);
+  }
+
+  if (member.doc) {
+    lines.push(member.doc);
+  }
+
+  if (member instanceof Method && member.parameters != null) {
+    for (const parameter of member.parameters) {
+      if (parameter.doc) {
+        lines.push(parameter.name + ": " + parameter.doc);
+      }
+    }
+  }
+
+  return lines.join("\n");
+}
+
 class ConstructViewFormatter extends ConstructVisitor {
   visitConstantConstruct(construct) {
     return makeTextView('"' + construct.value + '"', Styles.Literal);
@@ -78,11 +110,11 @@ class ConstructViewFormatter extends ConstructVisitor {
   }
 
   visitFieldConstruct(construct) {
-    return makeTextView(construct.field.name);
+    return makeTextView(construct.field.name, null, describeMember(construct.field));
   }
 
   visitMethodConstruct(construct) {
-    return makeTextView(construct.method.name);
+    return makeTextView(construct.method.name, null, describeMember(construct.method));
   }
 
   visitCallConstruct(construct) {
@@ -5,9 +5,53 @@
  * https://dynin.com/berkeley-license/
  */
 
+/**
+ * The context in which names are resolved.  Unqualified names are looked up in
+ * the imported namespaces; qualified names, such as "mail.labels:inbox", are looked up
+ * in the namespace registry, after the first component is expanded if it's an alias.
+ *
+ * Declarations are optional: { imports: [ "mail.labels" ], aliases: { l: "mail.labels" } }.
+ * The registry defaults to Namespace.registry.
+ */
 class ParserContext {
-  constructor() {
+  constructor(declarations, registry) {
+    this.registry = registry ? registry : Namespace.registry;
     this.imports = [ viewsNamespace ];
+    this.aliases = new Map();
+
+    if (declarations) {
+      for (const alias in declarations.aliases) {
+        this.addAlias(alias, declarations.aliases[alias]);
+      }
+      for (const qualifiedName of declarations.imports ? declarations.imports : []) {
+        this.addImport(qualifiedName);
+      }
+    }
+  }
+
+  addImport(qualifiedName) {
+    const namespace = this.lookupNamespace(qualifiedName);
+    if (namespace == null) {
+      panic(new ParseError("Unknown namespace in import: " + qualifiedName,
+          { name: qualifiedName }));
+    }
+    this.imports.push(namespace);
+  }
+
+  addAlias(alias, qualifiedName) {
+    if (alias.includes(".")) {
+      panic(new ParseError("Alias can't contain dots: " + alias, { name: alias }));
+    }
+    this.aliases.set(alias, qualifiedName);
+  }
+
+  lookupNamespace(qualifiedName) {
+    const dot = qualifiedName.indexOf('.');
+    const first = dot < 0 ? qualifiedName : qualifiedName.substring(0, dot);
+    if (this.aliases.has(first)) {
+      qualifiedName = this.aliases.get(first) + qualifiedName.substring(first.length);
+    }
+    return this.registry.lookup(qualifiedName);
   }
 
   lookup(name) {
@@ -41,7 +85,7 @@ function parseExpression(expression, context) {
         return new ConstantConstruct(second, StringType);
       }
 
-      const namespace = Namespace.namespacesByName.get(first);
+      const namespace = context.lookupNamespace(first);
       if (namespace != null) {
         result = namespace.getMember(second);
       }
@@ -59,7 +103,7 @@ function parseExpression(expression, context) {
   } else if (ArrayType.isInstance(expression)) {
     if (expression.length == 0) {
       // TODO: empty list should be a separate type.  Using String as element type for now.
-      return new ConstantConstruct(new List([], StringType), ListType);
+      return new ConstantConstruct(new List([], StringType), ListOf(StringType));
     }
 
     const functionConstruct = parseExpression(expression[0], context);
@@ -74,13 +118,19 @@ function parseExpression(expression, context) {
   }
 }
 
-function parseAndCheck(expression) {
-  const parsedConstruct = parseExpression(expression, new ParserContext());
+function parseAndCheck(expression, context) {
+  const parsedConstruct = parseExpression(expression, context ? context : new ParserContext());
 
   parsedConstruct.traversePreOrder((construct) => {
     if (construct instanceof ErrorConstruct) {
       // TODO: gracefully handle parse errors.
-      panic("Parse error: " + construct.message);
+      panic(new ParseError("Parse error: " + construct.message, { construct: construct }));
+    }
+  });
+
+  parsedConstruct.traversePreOrder((construct) => {
+    if (construct instanceof CallConstruct) {
+      construct.checkArgumentTypes();
     }
   });
 
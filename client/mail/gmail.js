@@ -21,6 +21,8 @@ const SCOPES = 'https://www.googleapis.com/auth/gmail.readonly';
 let tokenClient;
 let gapiInited = false;
 let gisInited = false;
+let labelsRequest;
+let threadsRequest;
 
 /**
  * Callback after api.js is loaded.
@@ -61,14 +63,43 @@ function gisLoaded() {
  */
 function maybeIsInitialized() {
   if (gapiInited && gisInited) {
+    labelsRequest = makeGmailRequest(requestLabels, mailData.labelsList);
+    threadsRequest = makeGmailRequest(requestThreads, mailData.threadsList);
+
     setValue(mailData.authenticate, authenticate);
     setValue(mailData.deauthenticate, deauthenticate);
-    setValue(mailData.fetchLabels, fetchLabels);
-    setValue(mailData.fetchThreads, fetchThreads);
+    setValue(mailData.fetchLabels, () => labelsRequest.refresh());
+    setValue(mailData.fetchThreads, () => threadsRequest.refresh());
     setValue(mailData.syncStatus, SyncStatus.NOT_AUTHENTICATED);
   }
 }
 
+/**
+ * Make an AsyncReference that runs a Gmail API request while the user is signed in,
+ * and copies the resulting list to the given Boxed.  The request is invoked again
+ * when the user signs in or out, and when refresh() is called.
+ */
+function makeGmailRequest(request, listBoxed) {
+  const asyncReference = makeAsyncComputable(function() {
+    if (getValue(mailData.syncStatus) != SyncStatus.ONLINE) {
+      return null;
+    }
+    return request();
+  }, ListOrNullType);
+
+  const lifespan = asyncReference.lifespan;
+  observe(asyncReference.value, lifespan,
+      () => setValue(listBoxed, getValue(asyncReference.value)));
+  observe(asyncReference.error, lifespan, function() {
+    const error = getValue(asyncReference.error);
+    if (error != null) {
+      requestFailed(error);
+    }
+  });
+
+  return asyncReference;
+}
+
 /**
  *  Sign in the user.
  */
@@ -78,9 +109,8 @@ function authenticate() {
       setValue(mailData.syncStatus, SyncStatus.NOT_AUTHENTICATED);
       throw (resp);
     }
+    // The labels and threads are fetched when the status changes.
     setValue(mailData.syncStatus, SyncStatus.ONLINE);
-    fetchLabels();
-    fetchThreads();
   };
 
   if (gapi.client.getToken() === null) {
@@ -101,55 +131,53 @@ function deauthenticate() {
   if (token !== null) {
     google.accounts.oauth2.revoke(token.access_token);
     gapi.client.setToken('');
-    setValue(mailData.labelsList, null);
+    // The lists are cleared when the status changes.
     setValue(mailData.syncStatus, SyncStatus.NOT_AUTHENTICATED);
   }
 }
 
+/**
+ * Report the error.  If the credentials expired or were revoked,
+ * the user needs to sign in again.
+ */
 function requestFailed(error) {
-  setValue(mailData.syncStatus, SyncStatus.NOT_AUTHENTICATED);
-  console.log(error);
+  if (error != null && error.status == 401) {
+    setValue(mailData.syncStatus, SyncStatus.NOT_AUTHENTICATED);
+  }
+  reportError(error);
 }
 
 /**
  * Fetch all user's labels.
  */
-function fetchLabels() {
-  if (gapi.client.getToken() != null) {
-    gapi.client.gmail.users.labels.list({
-      'userId': 'me',
-    }).then((response) => {
-      if (getValue(mailData.syncStatus) == SyncStatus.ONLINE) {
-        const result = [];
-        for (const label of response.result.labels) {
-          // {"name":"string"}
-          result.push(new Label(label.name));
-        }
-        setValue(mailData.labelsList, new List(result, LabelType));
-      }
-    }, requestFailed);
-  }
+function requestLabels() {
+  return gapi.client.gmail.users.labels.list({
+    'userId': 'me',
+  }).then((response) => {
+    const result = [];
+    for (const label of response.result.labels) {
+      // {"name":"string"}
+      result.push(LabelType.create({ name: label.name }));
+    }
+    return new List(result, LabelType);
+  });
 }
 
 
 /**
  * Fetch default message list.
  */
-function fetchThreads() {
-  if (gapi.client.getToken() != null) {
-    gapi.client.gmail.users.threads.list({
-      'userId': 'me',
-      'maxResults': 20
-    }).then((response) => {
-      if (getValue(mailData.syncStatus) == SyncStatus.ONLINE) {
-        const result = [];
-        for (const thread of response.result.threads) {
-          // {"id":"string","snippet":"text","historyId":"number"}
-          // TODO: validate the results and handle HTML entities in snippets
-          result.push(new Thread(thread.snippet));
-        }
-        setValue(mailData.threadsList, new List(result, ThreadType));
-      }
-    }, requestFailed);
-  }
+function requestThreads() {
+  return gapi.client.gmail.users.threads.list({
+    'userId': 'me',
+    'maxResults': 20
+  }).then((response) => {
+    const result = [];
+    for (const thread of response.result.threads) {
+      // {"id":"string","snippet":"text","historyId":"number"}
+      // TODO: validate the results and handle HTML entities in snippets
+      result.push(ThreadType.create({ snippet: thread.snippet }));
+    }
+    return new List(result, ThreadType);
+  });
 }
@@ -18,20 +18,8 @@ const mailData = makeDatastore("mail", {
   fetchThreads: makeBoxed(notInitialized, FunctionType),
 });
 
-class Label {
-  constructor(name) {
-    this.name = name;
-  }
-}
-
-class Thread {
-  constructor(snippet) {
-    this.snippet = snippet;
-  }
-}
-
-const LabelType = addNamespaceType(mailData, "label", (value) => value instanceof Label);
-const ThreadType = addNamespaceType(mailData, "thread", (value) => value instanceof Thread);
+const LabelType = addRecordType(mailData, "label", { name: StringType });
+const ThreadType = addRecordType(mailData, "thread", { snippet: StringType });
 
 function main() {
   function renderMessage(message) {
@@ -23,16 +23,18 @@ function authenticate() {
 
 function deauthenticate() {
   if (getValue(mailData.syncStatus) == SyncStatus.ONLINE) {
-    setValue(mailData.labelsList, null);
-    setValue(mailData.threadsList, null);
-    setValue(mailData.syncStatus, SyncStatus.NOT_AUTHENTICATED);
+    runInTransaction(() => {
+      setValue(mailData.labelsList, null);
+      setValue(mailData.threadsList, null);
+      setValue(mailData.syncStatus, SyncStatus.NOT_AUTHENTICATED);
+    });
   }
 }
 
 function makeMockLabel() {
   const randomInteger = Math.floor(Math.random() * 68) + 1;
   const labelName = "Label " + randomInteger;
-  return new Label(labelName);
+  return LabelType.create({ name: labelName });
 }
 
 function fetchLabels() {
@@ -51,7 +53,7 @@ function fetchLabels() {
 function makeMockThread() {
   const randomInteger = Math.floor(Math.random() * 68) + 1;
   const mockSnippet = "Snippet " + randomInteger;
-  return new Thread(mockSnippet);
+  return ThreadType.create({ snippet: mockSnippet });
 }
 
 function fetchThreads() {
@@ -0,0 +1,167 @@
+/**
+ * Copyright 2024-2025 Dynin Labs, Inc. All rights reserved.
+ * Use of this source code is governed by a BSD-style
+ * license that can be found in the LICENSE file or at
+ * https://dynin.com/berkeley-license/
+ */
+
+/**
+ * Storage backed by the browser's localStorage.  Changes made in other tabs are
+ * delivered through the window's storage events.
+ */
+class LocalPersistentStorage {
+  constructor(localStorage) {
+    this.localStorage = localStorage;
+  }
+
+  getItem(key) {
+    return this.localStorage.getItem(key);
+  }
+
+  setItem(key, value) {
+    this.localStorage.setItem(key, value);
+  }
+
+  removeItem(key) {
+    this.localStorage.removeItem(key);
+  }
+
+  /**
+   * Register a callback that is invoked with the key and the new value when
+   * the storage is changed by another tab.  Returns a function that unregisters it.
+   */
+  addChangeListener(callback) {
+    const listener = (event) => {
+      if (event.storageArea == this.localStorage) {
+        callback(event.key, event.newValue);
+      }
+    };
+    window.addEventListener("storage", listener);
+    return () => window.removeEventListener("storage", listener);
+  }
+}
+
+/**
+ * In-memory storage, used when localStorage is not available: on Node.js,
+ * when running from a file: URL, or when access to localStorage is denied.
+ * Listeners are notified about all the changes, which makes it possible to test
+ * the behavior of multiple tabs.
+ */
+class MemoryPersistentStorage {
+  constructor() {
+    this.items = new Map();
+    this.listeners = new Array();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, value);
+    this.notifyListeners(key, value);
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+    this.notifyListeners(key, null);
+  }
+
+  addChangeListener(callback) {
+    this.listeners.push(callback);
+    return () => {
+      const index = this.listeners.indexOf(callback);
+      if (index >= 0) {
+        this.listeners.splice(index, 1);
+      }
+    };
+  }
+
+  notifyListeners(key, value) {
+    for (const listener of [...this.listeners]) {
+      listener(key, value);
+    }
+  }
+}
+
+var defaultPersistentStorage = null;
+
+/**
+ * Get the storage used by makePersistentBoxed() by default.
+ */
+function getDefaultPersistentStorage() {
+  if (defaultPersistentStorage == null) {
+    defaultPersistentStorage = new MemoryPersistentStorage();
+
+    if (typeof window == "object" && !isOnFilesystem()) {
+      try {
+        if (window.localStorage) {
+          defaultPersistentStorage = new LocalPersistentStorage(window.localStorage);
+        }
+      } catch (error) {
+        // Access to localStorage can be denied by the browser settings;
+        // the values are kept in memory then.
+      }
+    }
+  }
+
+  return defaultPersistentStorage;
+}
+
+/**
+ * Decode the stored value; returns undefined if there is no value or it's not valid.
+ * Invalid values are passed to the error handler of the lifespan.
+ */
+function decodePersistentValue(key, text, type, lifespan) {
+  if (text == null) {
+    return undefined;
+  }
+
+  var json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    lifespan.handleError(new PanicError("Can't decode stored value for " + key + ": " + error,
+        { key: key, cause: error }));
+    return undefined;
+  }
+
+  const validation = type.validateJson(json, "");
+  if (!validation.isValid) {
+    lifespan.handleError(new TypeCheckError("Invalid stored value for " + key + ": " +
+        validation.message, json, type, validation.path));
+    return undefined;
+  }
+  return type.fromJson(json);
+}
+
+/**
+ * Create a Boxed value that is loaded from the browser storage, and saved back
+ * to it when it changes.  Changes made in other tabs are applied to the Boxed value.
+ *
+ * If the stored value is missing or doesn't pass the type validation,
+ * the initial value is used, and the error is passed to the error handler of the lifespan.
+ * The storage defaults to localStorage, or to the memory when localStorage is not available.
+ */
+function makePersistentBoxed(key, initialValue, type, lifespan, storage) {
+  StringType.check(key);
+  lifespan = defaultLifespan(lifespan);
+  storage = storage ? storage : getDefaultPersistentStorage();
+
+  const storedValue = decodePersistentValue(key, storage.getItem(key), type, lifespan);
+  const result = makeBoxed(storedValue !== undefined ? storedValue : initialValue, type);
+
+  observe(result, lifespan, function() {
+    storage.setItem(key, JSON.stringify(type.toJson(getValue(result))));
+  });
+
+  const removeListener = storage.addChangeListener(function(changedKey, newValue) {
+    if (changedKey == key) {
+      const value = decodePersistentValue(key, newValue, type, lifespan);
+      setValue(result, value !== undefined ? value : initialValue);
+    }
+  });
+  lifespan.onFinish(removeListener);
+
+  return result;
+}
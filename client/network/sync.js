@@ -5,12 +5,12 @@
  * https://dynin.com/berkeley-license/
  */
 
-function isOnFilesystem() {
-  return window.location.href.toLowerCase().startsWith("file:");
-}
-
 class DatastoreSync {
-  constructor(datastore, isActive) {
+  /**
+   * Synchronize the datastore while isActive is true.  The transport defaults to
+   * HttpTransport in the zone of the sync lifespan.
+   */
+  constructor(datastore, isActive, transport) {
     if (isOnFilesystem()) {
       setValue(datastore.syncStatus, SyncStatus.ONLINE);
       return;
@@ -18,11 +18,12 @@ class DatastoreSync {
 
     this.datastore = datastore;
     this.isActive = isActive;
-    this.transport = new HttpTransport();
+    this.transport = transport ? transport : null;
     this.isPullEnabled = true;
     this.isRequestPending = false;
     this.isRequestInProgress = false;
     this.shouldPush = false;
+    this.lastError = null;
     this.datastoreObserver = () => this.datastoreChanged();
     this.startSync = () => this.startSyncRequest();
 
@@ -35,11 +36,15 @@ class DatastoreSync {
     console.log("Syncing at " + priority.name + " priority");
 
     lifespan = defaultLifespan(lifespan);
+    this.lifespan = lifespan;
     this.zone = lifespan.zone;
+    if (this.transport == null) {
+      this.transport = new HttpTransport(this.zone);
+    }
 
     this.datastore.observeAll(lifespan, this.datastoreObserver);
     observe(this.isActive, lifespan, () => this.isActiveToggled());
-    this.zone.scheduleAction(this.startSync);
+    this.zone.scheduleAction(this.startSync, this.lifespan);
   }
 
   startSyncRequest() {
@@ -63,13 +68,13 @@ class DatastoreSync {
 
   isActiveToggled() {
     if (getValue(this.isActive) && !this.isRequestInProgress && !this.isRequestPending) {
-      this.zone.scheduleAction(this.startSync);
+      this.zone.scheduleAction(this.startSync, this.lifespan);
     }
   }
 
   scheduleSyncRequest() {
     if (!this.isRequestPending && !this.isRequestInProgress) {
-      this.zone.scheduleDelayedAction(this.startSync, SYNC_INTERVAL_MS);
+      this.zone.scheduleDelayedAction(this.startSync, SYNC_INTERVAL_MS, this.lifespan);
       this.isRequestPending = true;
     }
   }
@@ -77,14 +82,14 @@ class DatastoreSync {
   datastoreChanged() {
     this.shouldPush = true;
     if (!this.isRequestInProgress) {
-      this.zone.scheduleAction(() => this.startPushRequest());
+      this.zone.scheduleAction(() => this.startPushRequest(), this.lifespan);
     }
   }
 
   startPullRequest() {
     this.isRequestInProgress = true;
     this.transport.startRequest(PULL_REQUEST, null, (response) => this.pullCallback(response),
-        () => this.pullErrorCallback());
+        (error) => this.pullErrorCallback(error));
   }
 
   pullCallback(response) {
@@ -96,8 +101,9 @@ class DatastoreSync {
     this.scheduleSyncRequest();
   }
 
-  pullErrorCallback() {
+  pullErrorCallback(error) {
     this.isRequestInProgress = false;
+    this.lastError = error;
     setValue(this.datastore.syncStatus, SyncStatus.OFFLINE);
     this.scheduleSyncRequest();
   }
@@ -107,7 +113,7 @@ class DatastoreSync {
     const payload = JSON.stringify(this.datastore.toJson());
     this.shouldPush = false;
     this.transport.startRequest(PUSH_REQUEST, payload, (response) => this.pushCallback(response),
-        () => this.pushErrorCallback());
+        (error) => this.pushErrorCallback(error));
   }
 
   pushCallback(response) {
@@ -116,10 +122,25 @@ class DatastoreSync {
     this.scheduleSyncRequest();
   }
 
-  pushErrorCallback() {
+  pushErrorCallback(error) {
     this.isRequestInProgress = false;
-    setValue(this.datastore.syncStatus, SyncStatus.OFFLINE);
-    this.shouldPush = true;
+    this.lastError = error;
+    if (this.isRejection(error)) {
+      // Pushing the same state again would fail the same way; the next pull replaces it.
+      setValue(this.datastore.syncStatus, SyncStatus.REJECTED);
+    } else {
+      setValue(this.datastore.syncStatus, SyncStatus.OFFLINE);
+      this.shouldPush = true;
+    }
     this.scheduleSyncRequest();
   }
+
+  /**
+   * Check whether the server rejected the request with a 4xx status,
+   * so that retrying it is pointless.
+   */
+  isRejection(error) {
+    const status = error instanceof PanicError ? error.context.status : null;
+    return IntegerType.isInstance(status) && status >= 400 && status < 500;
+  }
 }
@@ -6,8 +6,9 @@
  */
 
 class HttpTransport {
-  constructor() {
+  constructor(zone) {
     this.syncToken = "==SECRET_SYNC_TOKEN==";
+    this.zone = zone;
   }
 
   startRequest(requestType, payload, callback, errorCallback) {
@@ -43,15 +44,18 @@ class HttpTransport {
             }
           }
         } else {
-          debugLog("Request " + requestType + " failed (status: " + request.status + ").");
+          const message = "Request " + requestType + " failed (status: " + request.status + ").";
+          debugLog(message);
           if (errorCallback) {
-            errorCallback();
+            errorCallback(new SyncError(message,
+                { requestType: requestType, status: request.status }));
           }
         }
       } catch (e) {
-        debugLog("Request " + requestType + " failed (exception).");
+        const message = "Request " + requestType + " failed (exception).";
+        debugLog(message);
         if (errorCallback) {
-          errorCallback();
+          errorCallback(new SyncError(message, { requestType: requestType, cause: e }));
         }
       }
     };
@@ -63,15 +67,16 @@ class HttpTransport {
     }
     request.send(content);
 
-    setTimeout(function() {
+    this.zone.scheduleDelayedAction(function() {
       if (!active) {
         return;
       }
       active = false;
       request.abort();
-      debugLog("Request " + requestType + " timed out.");
+      const message = "Request " + requestType + " timed out.";
+      debugLog(message);
       if (errorCallback) {
-        errorCallback();
+        errorCallback(new SyncError(message, { requestType: requestType }));
       }
     }, TIMEOUT_INTERVAL_MS);
   }
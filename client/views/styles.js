@@ -16,31 +16,31 @@ const StyleType = addNamespaceType(stylesNamespace, "style", (value) => value in
 
 const Styles = { };
 
-function addStyle(name, cssClassName) {
+function addStyle(name, cssClassName, doc) {
   const style = new Style(name, cssClassName);
   const styleReference = new ConstantReference(style, StyleType);
 
-  stylesNamespace.addMember(new Field(stylesNamespace, name, styleReference));
+  stylesNamespace.addMember(new Field(stylesNamespace, name, styleReference).setDoc(doc));
 
   Styles[name] = style;
 }
 
-addStyle("Default", "default");
-addStyle("Header", "header");
-addStyle("Label", "label");
-addStyle("Message", "message");
-addStyle("Snippet", "snippet");
-addStyle("NoMessages", "no-messages");
-addStyle("RedText", "red-text");
-
-addStyle("StatusBlock", "status-block");
-addStyle("GreenStatus", "green-status");
-addStyle("YellowStatus", "yellow-status");
-addStyle("RedStatus", "red-status");
-addStyle("BlueStatus", "blue-status");
-
-addStyle("ViewSource", "view-source");
-addStyle("Code", "code");
-addStyle("Literal", "literal");
-addStyle("Indent", "indent");
-addStyle("BlueLink", "blue-link");
+addStyle("Default", "default", "Text without any styling.");
+addStyle("Header", "header", "Large text for the title of the page.");
+addStyle("Label", "label", "Text that names a section.");
+addStyle("Message", "message", "Text of a message to the user.");
+addStyle("Snippet", "snippet", "A one-line preview of a message, cut off at the end.");
+addStyle("NoMessages", "no-messages", "Text shown when there are no messages.");
+addStyle("RedText", "red-text", "Red text, for destructive actions and warnings.");
+
+addStyle("StatusBlock", "status-block", "A block on the right that holds the status.");
+addStyle("GreenStatus", "green-status", "A status badge for the normal state.");
+addStyle("YellowStatus", "yellow-status", "A status badge for a state that needs attention.");
+addStyle("RedStatus", "red-status", "A status badge for an error.");
+addStyle("BlueStatus", "blue-status", "A status badge for a state in progress.");
+
+addStyle("ViewSource", "view-source", "The block that shows the source of the app.");
+addStyle("Code", "code", "Source code.");
+addStyle("Literal", "literal", "A literal value in the source code.");
+addStyle("Indent", "indent", "An indented block of source code.");
+addStyle("BlueLink", "blue-link", "A blue link.");
@@ -30,17 +30,13 @@ class VisibleView extends View {
       }
 
       if (getValue(visibleView.isVisible)) {
-        subSpan = lifespan.makeSubSpan();
-        const rendered = visibleView.view.render(lifespan);
-        observe(rendered, subSpan, renderedView.recompute);
+        subSpan = lifespan.makeSubSpan("VisibleView");
+        const rendered = visibleView.view.render(subSpan);
         return getValue(rendered);
       } else {
         return new DocumentFragment();
       }
-    }, ObjectType);
-
-    renderedView.observeAndDependsOn(visibleView.isVisible, lifespan);
-    renderedView.dependsOn(visibleView.view);
+    }, ObjectType, lifespan);
 
     return renderedView;
   }
@@ -57,10 +53,11 @@ function updateStyle(element, style) {
 }
 
 class TextView extends View {
-  constructor(text, style) {
+  constructor(text, style, tooltip) {
     super();
     this.text = text;
     this.style = style;
+    this.tooltip = tooltip;
   }
 
   render(lifespan) {
@@ -69,21 +66,23 @@ class TextView extends View {
     const renderedText = makeComputableReference(function() {
       const textValue = getValue(textState.text);
       const styleValue = getValue(textState.style);
+      const tooltipValue = getValue(textState.tooltip);
 
-      if (styleValue) {
+      if (styleValue || tooltipValue) {
         const textElement = document.createElement("span");
-        StyleType.check(styleValue);
-        textElement.setAttribute("class", styleValue.cssClassName);
+        if (styleValue) {
+          StyleType.check(styleValue);
+          textElement.setAttribute("class", styleValue.cssClassName);
+        }
+        if (tooltipValue) {
+          textElement.setAttribute("title", tooltipValue);
+        }
         textElement.textContent = textValue;
         return textElement;
       } else {
         return document.createTextNode(textValue);
       }
-    }, ObjectType);
-
-
-    renderedText.observeAndDependsOn(this.style, lifespan);
-    renderedText.observeAndDependsOn(this.text, lifespan);
+    }, ObjectType, lifespan);
 
     return renderedText;
   }
@@ -115,10 +114,7 @@ class DivView extends View {
       updateStyle(contentElement, contentState.style);
 
       return contentElement;
-    }, ObjectType);
-
-    renderedDiv.observeAndDependsOn(renderedContent, lifespan);
-    renderedDiv.observeAndDependsOn(this.style, lifespan);
+    }, ObjectType, lifespan);
 
     return renderedDiv;
   }
@@ -140,15 +136,12 @@ class ButtonView extends View {
 
     const renderedButton = makeComputableReference(function() {
       buttonElement.textContent = getValue(buttonState.text);
-      buttonElement.onclick = () => buttonZone.scheduleAction(getValue(buttonState.action));
+      buttonElement.onclick =
+          () => buttonZone.scheduleAction(getValue(buttonState.action), lifespan);
       updateStyle(buttonElement, buttonState.style);
 
       return buttonElement;
-    }, ObjectType);
-
-    renderedButton.observeAndDependsOn(this.text, lifespan);
-    renderedButton.observeAndDependsOn(this.action, lifespan);
-    renderedButton.observeAndDependsOn(this.style, lifespan);
+    }, ObjectType, lifespan);
 
     return renderedButton;
   }
@@ -172,16 +165,12 @@ class LinkView extends View {
     const renderedLink = makeComputableReference(function() {
       linkElement.textContent = getValue(linkState.text);
       linkElement.onclick = function() {
-        linkZone.scheduleAction(getValue(linkState.action));
+        linkZone.scheduleAction(getValue(linkState.action), lifespan);
         return false;
       }
       updateStyle(linkElement, linkState.style);
       return linkElement;
-    }, ObjectType);
-
-    renderedLink.observeAndDependsOn(this.text, lifespan);
-    renderedLink.observeAndDependsOn(this.action, lifespan);
-    renderedLink.observeAndDependsOn(this.style, lifespan);
+    }, ObjectType, lifespan);
 
     return renderedLink;
   }
@@ -201,7 +190,7 @@ class ContainerView extends View {
       if (subSpan != null) {
         subSpan.finish();
       }
-      subSpan = lifespan.makeSubSpan();
+      subSpan = lifespan.makeSubSpan("ContainerView");
 
       const result = new DocumentFragment();
       for (const view of containerState.views) {
@@ -210,14 +199,10 @@ class ContainerView extends View {
           ViewType.check(viewValue);
           const rendered = viewValue.render(subSpan);
           result.appendChild(getValue(rendered));
-          observe(view, subSpan, renderedContainer.recompute);
-          observe(rendered, subSpan, renderedContainer.recompute);
         }
       }
       return result;
-    }, ObjectType);
-
-    renderedContainer.observeAndDependsOn(this.views, lifespan);
+    }, ObjectType, lifespan);
 
     return renderedContainer;
   }
@@ -240,7 +225,7 @@ class ListView extends View {
       if (subSpan != null) {
         subSpan.finish();
       }
-      subSpan = lifespan.makeSubSpan();
+      subSpan = lifespan.makeSubSpan("ListView");
 
       const listState = getValue(listViewState.list);
 
@@ -248,24 +233,19 @@ class ListView extends View {
         return new DocumentFragment();
       }
 
-      if (listState.length == 0) {
-        return getValue(listViewState.emptyView.render(lifespan));
+      if (listState.size() == 0) {
+        return getValue(listViewState.emptyView.render(subSpan));
       }
 
       const result = new DocumentFragment();
       for (const element of listState.iterate()) {
-        const rendered = listViewState.makeView(element).render(subSpan);
+        // Operators created by makeView() should use the lifespan of the list rendering.
+        const rendered = listViewState.makeView(element, subSpan).render(subSpan);
         result.appendChild(getValue(rendered));
-        observe(rendered, subSpan, renderedList.recompute);
       }
 
       return result;
-    }, ObjectType);
-
-
-    renderedList.observeAndDependsOn(this.list, lifespan);
-    renderedList.observeAndDependsOn(this.makeView, lifespan);
-    renderedList.observeAndDependsOn(this.emptyView, lifespan);
+    }, ObjectType, lifespan);
 
     return renderedList;
   }
@@ -275,8 +255,8 @@ function makeVisibleView(view, isVisible) {
   return new VisibleView(view, isVisible);
 }
 
-function makeTextView(text, style) {
-  return new TextView(text, style);
+function makeTextView(text, style, tooltip) {
+  return new TextView(text, style, tooltip);
 }
 
 function makeDivView(content, style) {
@@ -304,17 +284,50 @@ function makeListView(list, makeView, emptyView) {
   return new ListView(list, makeView, emptyView);
 }
 
-function addViewMaker(name, implementation) {
-  viewsNamespace.addMember(new Method(viewsNamespace, name, ViewType, implementation));
+function addViewMaker(name, implementation, parameters, doc) {
+  viewsNamespace.addMember(
+      new Method(viewsNamespace, name, ViewType, implementation, parameters).setDoc(doc));
 }
 
-addViewMaker("makeVisibleView", makeVisibleView);
-addViewMaker("makeTextView", makeTextView);
-addViewMaker("makeDivView", makeDivView);
-addViewMaker("makeButtonView", makeButtonView);
-addViewMaker("makeLinkView", makeLinkView);
-addViewMaker("makeContainerView", makeContainerView);
-addViewMaker("makeListView", makeListView);
+/**
+ * The optional style parameter of the view makers.
+ */
+function makeStyleParameter() {
+  return makeOptionalParameter("style", StyleType).setDoc("The style of the view.");
+}
+
+addViewMaker("makeVisibleView", makeVisibleView, [
+  makeParameter("view", ViewType).setDoc("The view to show or hide."),
+  makeParameter("isVisible", BooleanType).setDoc("The view is shown only when this is true.")
+], "Shows or hides a view.");
+addViewMaker("makeTextView", makeTextView, [
+  makeParameter("text", StringType).setDoc("The text to show."),
+  makeStyleParameter(),
+  makeOptionalParameter("tooltip", StringType).setDoc("Text shown on hover.")
+], "A piece of text.");
+addViewMaker("makeDivView", makeDivView, [
+  makeParameter("content", ViewType).setDoc("The view inside the block."),
+  makeStyleParameter()
+], "A block that contains a view.");
+addViewMaker("makeButtonView", makeButtonView, [
+  makeParameter("text", StringType).setDoc("The label of the button."),
+  makeParameter("action", FunctionType).setDoc("Invoked when the button is clicked."),
+  makeStyleParameter()
+], "A button that performs an action.");
+addViewMaker("makeLinkView", makeLinkView, [
+  makeParameter("text", StringType).setDoc("The text of the link."),
+  makeParameter("action", FunctionType).setDoc("Invoked when the link is clicked."),
+  makeStyleParameter()
+], "A link that performs an action.");
+addViewMaker("makeContainerView", makeContainerView, [
+  makeVariadicParameter("views", Optional(ViewType))
+      .setDoc("Views to show; null views are skipped.")
+], "Shows several views one after another.");
+addViewMaker("makeListView", makeListView, [
+  makeParameter("list", ListOrNullType).setDoc("The elements to show."),
+  makeParameter("makeView", FunctionType).setDoc("Makes a view for an element of the list."),
+  makeParameter("emptyView", ViewType).setDoc("Shown when the list is empty.")
+], "Shows a view for each element of a list.");
 
 function makeStatusView(datastore, viewSource) {
   return makeDivView(conditional(
@@ -324,7 +337,10 @@ function makeStatusView(datastore, viewSource) {
           conditional(
               equalsOp(datastore.syncStatus, SyncStatus.ONLINE),
               makeTextView("Online", Styles.GreenStatus),
-              makeTextView("Offline", Styles.YellowStatus))),
+              conditional(
+                  equalsOp(datastore.syncStatus, SyncStatus.REJECTED),
+                  makeTextView("Rejected", Styles.RedStatus),
+                  makeTextView("Offline", Styles.YellowStatus)))),
       makeTextView("Initializing", Styles.BlueStatus)), Styles.StatusBlock);
 }
 
@@ -342,5 +358,11 @@ function setRootView(view, lifespan) {
     newDivElement.appendChild(getValue(bodyFragmentOrRef));
     body.replaceChild(newDivElement, divElement);
     divElement = newDivElement;
+
+    if (Lifespan.tracker != null) {
+      Lifespan.tracker.recordSnapshot();
+    }
   });
+
+  return bodyFragmentOrRef;
 }
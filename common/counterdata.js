@@ -11,4 +11,8 @@ const counterData = makeDatastore("counter", {
       () => { setValue(counterData.state, getValue(counterData.state) + 1); }, FunctionType),
   reset: makeConstantReference(
       () => { setValue(counterData.state, 0); }, FunctionType)
+}, {
+  state: "The number of times the button was pressed.",
+  increment: "Adds one to the counter.",
+  reset: "Sets the counter back to zero."
 });
@@ -13,52 +13,126 @@ const SYNC_STATUS_NAME = "syncStatus";
  *
  * The syncStatus object (as a Boxed SyncStatus) is added to the datastore.
  *
+ * Function-valued members are added as methods.  Methods run in a transaction,
+ * so that observers (including synchronization) see only the final state.
+ *
+ * ObservableMap members are serialized as JSON objects, and updated key by key.
+ *
+ * The optional docs object maps member names to the doc strings of their fields
+ * and methods, which are shown in View Source and exported with the schema.
+ *
+ * Callbacks registered with observeLoads() are invoked when the state is loaded with
+ * fromJson(), such as when it's pulled from the server.
+ *
  * TODO: implement three-way merge to handle offline/high-latency environments.
  */
 class Datastore extends Namespace {
-  constructor(name, members) {
+  constructor(name, members, docs) {
     super(name);
+    this.loadObservers = new Array();
+    docs = docs ? docs : { };
 
-    this.addDataMember(SYNC_STATUS_NAME, makeBoxed(SyncStatus.NOT_INITIALIZED, SyncStatus));
+    this.addDataMember(SYNC_STATUS_NAME, makeBoxed(SyncStatus.NOT_INITIALIZED, SyncStatus),
+        "The state of synchronization with the server.");
 
     for (const memberName in members) {
-      this.addDataMember(memberName, members[memberName]);
+      this.addDataMember(memberName, members[memberName], docs[memberName]);
     }
 
     const fields = this.getFields(members);
+    this.fieldNames = fields;
 
     this.toJson = function() {
       const result = { };
       for (const field of fields) {
-        result[field] = getValue(this[field]);
+        const ref = this[field];
+        result[field] =
+            ref instanceof ObservableMap ? ref.toJson() : ref.type.toJson(getValue(ref));
       }
       return result;
     };
 
-    this.fromJson = function(data) {
+    this.validateJson = function(data) {
+      if (data == null || typeof data != "object") {
+        return ValidationResult.invalid("", ObjectType, data, "expected an object");
+      }
       for (const field of fields) {
-        setValue(this[field], data[field]);
+        const result = this[field].type.validateJson(data[field], field);
+        if (!result.isValid) {
+          return result;
+        }
+      }
+      return ValidationResult.VALID;
+    };
+
+    this.fromJson = function(data) {
+      const validation = this.validateJson(data);
+      if (!validation.isValid) {
+        panic(new TypeCheckError(validation.message, data, null, validation.path));
+      }
+
+      runInTransaction(() => {
+        for (const field of fields) {
+          const ref = this[field];
+          if (ref instanceof ObservableMap) {
+            // Only the keys that changed are updated.
+            ref.fromJson(data[field]);
+          } else {
+            setValue(ref, ref.type.fromJson(data[field]));
+          }
+        }
+      });
+
+      for (const loadObserver of [...this.loadObservers]) {
+        loadObserver();
       }
     };
 
     this.observeAll = function(lifespan, observer) {
       for (const field of fields) {
-        observe(this[field], lifespan, observer);
+        this[field].observe(lifespan, observer);
       }
     }
   }
 
-  addDataMember(name, ref) {
+  /**
+   * Register a callback with a given lifespan that gets invoked right after the state
+   * is loaded with fromJson().  The observers of the updated fields are triggered later,
+   * as usual.
+   */
+  observeLoads(lifespan, callback) {
+    LifespanType.check(lifespan);
+    FunctionType.check(callback);
+
+    this.loadObservers.push(callback);
+    lifespan.onFinish(() => {
+      const index = this.loadObservers.indexOf(callback);
+      if (index >= 0) {
+        this.loadObservers.splice(index, 1);
+      } else {
+        panic(new LifecycleError("Can't find callback in observer list."));
+      }
+    });
+  }
+
+  addDataMember(name, ref, doc) {
+    if (ref instanceof ObservableMap) {
+      this[name] = ref;
+      this.addMember(new Field(this, name, makeConstantReference(ref, ref.type)).setDoc(doc));
+      return;
+    }
+
     if (!(ref instanceof Reference)) {
-      panic("addDataMember() called on a non-reference for " + name);
+      panic(new ReflectionError("addDataMember() called on a non-reference for " + name,
+          { name: name }));
     }
 
     this[name] = ref;
 
     if (ref.type == FunctionType) {
-      this.addMember(new Method(this, name, NullType, ref));
+      this.addMember(new Method(this, name, NullType, this.makeTransactional(ref)).setDoc(doc));
     } else {
-      this.addMember(new Field(this, name, ref));
+      this.addMember(new Field(this, name, ref).setDoc(doc));
     }
 
     if (name != SYNC_STATUS_NAME && ref instanceof Boxed) {
@@ -68,12 +142,23 @@ class Datastore extends Namespace {
     ref.setName(name);
   }
 
+  /**
+   * Given a Reference to a function, make a Reference to a function that calls it
+   * in a transaction.
+   */
+  makeTransactional(ref) {
+    return makeConstantReference(
+        (...callArguments) => runInTransaction(() => getValue(ref)(...callArguments)),
+        FunctionType);
+  }
+
   getFields(members) {
     const result = new Array();
 
     for (const field in members) {
       const ref = members[field];
-      if (ref instanceof Boxed && this.isSerializeble(ref.type)) {
+      if ((ref instanceof Boxed || ref instanceof ObservableMap) &&
+          this.isSerializeble(ref.type)) {
         result.push(field);
       }
     }
@@ -82,10 +167,10 @@ class Datastore extends Namespace {
   }
 
   isSerializeble(type) {
-    return type == BooleanType || type == StringType || type == IntegerType;
+    return isSerializableType(type);
   }
 }
 
-function makeDatastore(name, members) {
-  return new Datastore(name, members);
+function makeDatastore(name, members, docs) {
+  return new Datastore(name, members, docs);
 }
@@ -0,0 +1,377 @@
+/**
+ * Copyright 2024-2025 Dynin Labs, Inc. All rights reserved.
+ * Use of this source code is governed by a BSD-style
+ * license that can be found in the LICENSE file or at
+ * https://dynin.com/berkeley-license/
+ */
+
+/**
+ * Debugging state associated with a live Lifespan.
+ */
+class LifespanRecord {
+  /**
+   * Create a record for a lifespan, capturing the stack trace of its creation.
+   */
+  constructor(lifespan, id) {
+    this.lifespan = lifespan;
+    this.id = id;
+    this.creationStack = LifespanRecord.captureStack();
+    this.children = new Set();
+    // Map from References to the number of observers registered with this lifespan.
+    this.observedReferences = new Map();
+  }
+
+  /**
+   * The functions that create a LifespanRecord.  Their frames are dropped from the top
+   * of the captured stack traces.
+   */
+  static TRACKER_FUNCTIONS = [ "captureStack", "LifespanRecord", "lifespanCreated", "Lifespan" ];
+
+  /**
+   * Get a stack trace of the caller, without the frames that belong to the tracker.
+   */
+  static captureStack() {
+    const stack = new Error().stack;
+    if (!stack) {
+      return "";
+    }
+
+    const frames = stack.split("\n").map((line) => line.trim());
+    var start = 0;
+    // V8 starts the stack with the error message, other engines don't.
+    while (start < frames.length && (frames[start] == "Error" ||
+        LifespanRecord.TRACKER_FUNCTIONS.includes(LifespanRecord.getFunctionName(frames[start])))) {
+      ++start;
+    }
+    return frames.slice(start).join("\n");
+  }
+
+  /**
+   * Get the name of the function from a stack frame, either in the V8 format
+   * ("at new Lifespan (...)", "at LifespanTracker.lifespanCreated (...)"),
+   * or in the Firefox and Safari format ("lifespanCreated@...").  Returns null if not found.
+   */
+  static getFunctionName(frame) {
+    const match = frame.match(/^at (?:new )?(?:[\w$]+\.)*([\w$]+)/) ||
+        frame.match(/^(?:[\w$]+[.\/<]+)*([\w$]+)@/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get a human-readable name of the lifespan.
+   */
+  getName() {
+    return this.lifespan.toString() + " #" + this.id;
+  }
+}
+
+/**
+ * Opt-in tracker of live Lifespans and the observers registered with them.
+ * Lifespan notifies the tracker installed in Lifespan.tracker when lifespans are created
+ * and finished, and when observers are added to References.
+ *
+ * The tracker also keeps the history of observer counts per Reference:
+ * recordSnapshot() should be called after each re-render, and findGrowingReferences()
+ * reports References whose observer count keeps growing--a telltale sign of a leak.
+ */
+class LifespanTracker {
+  /**
+   * Create a tracker with no lifespans recorded.
+   */
+  constructor() {
+    this.liveLifespans = new Map();
+    this.nextId = 1;
+    this.observedReferences = new Set();
+    this.snapshots = new Map();
+  }
+
+  /**
+   * Record the creation of a lifespan.  Called from the Lifespan constructor.
+   */
+  lifespanCreated(lifespan) {
+    const record = new LifespanRecord(lifespan, this.nextId++);
+    this.liveLifespans.set(lifespan, record);
+
+    const parentRecord = this.liveLifespans.get(lifespan.parent);
+    if (parentRecord) {
+      parentRecord.children.add(record);
+    }
+  }
+
+  /**
+   * Record that the lifespan was finished.  Called from Lifespan.finish().
+   */
+  lifespanFinished(lifespan) {
+    const record = this.liveLifespans.get(lifespan);
+    if (!record) {
+      return;
+    }
+
+    this.liveLifespans.delete(lifespan);
+    const parentRecord = this.liveLifespans.get(lifespan.parent);
+    if (parentRecord) {
+      parentRecord.children.delete(record);
+    }
+  }
+
+  /**
+   * Record that an observer was registered with a reference for the given lifespan.
+   */
+  observerAdded(reference, lifespan) {
+    this.observedReferences.add(reference);
+
+    const record = this.liveLifespans.get(lifespan);
+    if (record) {
+      const count = record.observedReferences.get(reference);
+      record.observedReferences.set(reference, count ? count + 1 : 1);
+    }
+  }
+
+  /**
+   * Get the number of lifespans that are currently alive.
+   */
+  getLiveCount() {
+    return this.liveLifespans.size;
+  }
+
+  /**
+   * Get the tree of live lifespans as an array of plain objects, one per root lifespan.
+   * Lifespans created before the tracker was installed are not included.
+   */
+  getTree() {
+    const roots = [];
+    for (const record of this.liveLifespans.values()) {
+      if (!this.liveLifespans.has(record.lifespan.parent)) {
+        roots.push(this.describe(record));
+      }
+    }
+    return roots;
+  }
+
+  /**
+   * Convert a lifespan record and its children into a plain object.  Internal use only.
+   */
+  describe(record) {
+    const observers = [];
+    for (const [reference, count] of record.observedReferences) {
+      observers.push({
+        reference: reference.toString(),
+        count: count,
+        totalObservers: reference.observers.length
+      });
+    }
+
+    return {
+      name: record.getName(),
+      creationStack: record.creationStack,
+      observers: observers,
+      children: [...record.children].map((child) => this.describe(child))
+    };
+  }
+
+  /**
+   * Generate a text dump of the live lifespan tree with observer counts per Reference.
+   */
+  dumpTree() {
+    const lines = [];
+
+    function dumpNode(node, indent) {
+      lines.push(indent + node.name);
+      for (const observer of node.observers) {
+        lines.push(indent + "  * " + observer.reference + ": " + observer.count +
+            " of " + observer.totalObservers + " observers");
+      }
+      for (const child of node.children) {
+        dumpNode(child, indent + "  ");
+      }
+    }
+
+    for (const root of this.getTree()) {
+      dumpNode(root, "");
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * Record the current observer count of every observed Reference.
+   * References that no longer have observers are dropped from the history.
+   */
+  recordSnapshot() {
+    for (const reference of [...this.observedReferences]) {
+      const count = reference.observers.length;
+      if (count == 0) {
+        this.observedReferences.delete(reference);
+        this.snapshots.delete(reference);
+        continue;
+      }
+
+      const history = this.snapshots.get(reference);
+      if (history) {
+        history.push(count);
+      } else {
+        this.snapshots.set(reference, [count]);
+      }
+    }
+  }
+
+  /**
+   * Find References whose observer count grew in each of the last minSnapshots snapshots.
+   * Returns an array of {reference, history} objects.
+   */
+  findGrowingReferences(minSnapshots) {
+    if (!minSnapshots) {
+      minSnapshots = 3;
+    }
+
+    const result = [];
+    for (const [reference, history] of this.snapshots) {
+      if (history.length < minSnapshots) {
+        continue;
+      }
+
+      const recent = history.slice(history.length - minSnapshots);
+      var isGrowing = true;
+      for (var i = 1; i < recent.length; ++i) {
+        if (recent[i] <= recent[i - 1]) {
+          isGrowing = false;
+          break;
+        }
+      }
+
+      if (isGrowing) {
+        result.push({ reference: reference, history: history });
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * Enable lifespan debugging: install a new LifespanTracker and return it.
+ */
+function enableLifespanDebugging() {
+  Lifespan.tracker = new LifespanTracker();
+  return Lifespan.tracker;
+}
+
+/**
+ * Disable lifespan debugging.
+ */
+function disableLifespanDebugging() {
+  Lifespan.tracker = null;
+}
+
+/**
+ * Describe a value for the dependency graph without converting large objects to strings.
+ */
+function describeGraphValue(value) {
+  if (value === ComputableReference.NEEDS_RECOMPUTE) {
+    return "<needs recompute>";
+  }
+  if (value == null || typeof value != "object") {
+    return String(value);
+  }
+  if (value instanceof List) {
+    // Not size(): it would record a read, and apply the pending changes of derived lists.
+    return value.constructor.name + "[" + value.elements.length + "]";
+  }
+  if (value.name && value.index != null) {
+    // Enum values
+    return value.name;
+  }
+  return "<" + value.constructor.name + ">";
+}
+
+/**
+ * Get the References that a given Reference depends on.
+ * Only ComputableReferences have dependencies.
+ */
+function getGraphDependencies(reference) {
+  if (reference instanceof ComputableReference) {
+    return reference.getDependencies();
+  } else {
+    return [];
+  }
+}
+
+/**
+ * Walk the reactive dependency graph starting from the root Reference
+ * and return it as a plain object with an array of nodes and an array of edges.
+ * Each edge goes from a reference to a reference that it depends on.
+ * Values are reported as they are: the walk doesn't force a recomputation.
+ */
+function exportDependencyGraph(root) {
+  const nodeIds = new Map();
+  const nodes = [];
+  const edges = [];
+  const pending = [];
+
+  function getNodeId(reference) {
+    if (!nodeIds.has(reference)) {
+      nodeIds.set(reference, "n" + nodeIds.size);
+      pending.push(reference);
+    }
+    return nodeIds.get(reference);
+  }
+
+  getNodeId(root);
+
+  while (pending.length > 0) {
+    const reference = pending.shift();
+    const type = reference.type;
+    nodes.push({
+      id: nodeIds.get(reference),
+      kind: reference.constructor.name,
+      name: reference.name ? reference.name : null,
+      type: type ? (type.namespace ? type.namespace + ":" : "") + type.name : null,
+      value: describeGraphValue(reference.value),
+      height: reference.getHeight(),
+      observers: reference.observers ? reference.observers.length : 0
+    });
+
+    for (const dependence of getGraphDependencies(reference)) {
+      edges.push({ from: nodeIds.get(reference), to: getNodeId(dependence) });
+    }
+  }
+
+  return { nodes: nodes, edges: edges };
+}
+
+/**
+ * Quote a string for use in the Graphviz DOT format.
+ */
+function quoteDot(text) {
+  return "\"" + String(text).replace(/\\/g, "\\\\").replace(/"/g, "\\\"")
+      .replace(/\n/g, "\\n") + "\"";
+}
+
+/**
+ * Convert the result of exportDependencyGraph() into the Graphviz DOT format.
+ */
+function formatGraphAsDot(graph) {
+  const lines = ["digraph dependencies {", "  node [shape=box];"];
+
+  for (const node of graph.nodes) {
+    const label = (node.name ? node.name : node.kind) + "\n" + node.type + " = " + node.value;
+    lines.push("  " + node.id + " [label=" + quoteDot(label) + "];");
+  }
+  for (const edge of graph.edges) {
+    lines.push("  " + edge.from + " -> " + edge.to + ";");
+  }
+
+  lines.push("}");
+  return lines.join("\n");
+}
+
+/**
+ * Export the dependency graph of a Reference as a JSON string or (if format is "dot")
+ * in the Graphviz DOT format.
+ */
+function dumpDependencyGraph(root, format) {
+  const graph = exportDependencyGraph(root);
+  if (format == "dot") {
+    return formatGraphAsDot(graph);
+  } else {
+    return JSON.stringify(graph, null, 2);
+  }
+}
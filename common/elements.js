@@ -14,20 +14,51 @@
  * Lifespan is a lightweight object, so it can be created and finished with low overhead.
  */
 class Lifespan {
+  /**
+   * When lifespan debugging is enabled, the tracker is notified when lifespans
+   * are created and finished, and when observers are registered.  See debugging.js.
+   */
+  static tracker = null;
+
   /**
    * Construct a Lifespan instance within the context of a given zone.
    * More about zones below, in the documentation of the Zone class.
+   * Parent and name are optional, and are set for sub-lifespans.
    */
-  constructor(zone) {
+  constructor(zone, parent, name) {
     this.zone = zone;
     this.callbacks = new Array();
+    this.parent = parent ? parent : null;
+    this.name = name ? name : null;
+    this.errorHandler = null;
+    this.isFinished = false;
+
+    if (Lifespan.tracker != null) {
+      Lifespan.tracker.lifespanCreated(this);
+    }
   }
 
   /**
    * Register a callback that will be scheduled as an observer when this lifespan is finished.
+   * If the lifespan is already finished, the callback is scheduled right away, so that
+   * observers registered with a finished lifespan don't leak.
    */
   onFinish(callback) {
-    this.callbacks.push(callback);
+    if (this.isFinished) {
+      this.zone.scheduleObserver(callback, this);
+    } else {
+      this.callbacks.push(callback);
+    }
+  }
+
+  /**
+   * Unregister a callback that was registered with onFinish().
+   */
+  removeOnFinish(callback) {
+    const index = this.callbacks.indexOf(callback);
+    if (index >= 0) {
+      this.callbacks.splice(index, 1);
+    }
   }
 
   /**
@@ -37,24 +68,70 @@ class Lifespan {
    * the current implementation gracefully handles multiple invokations.
    */
   finish() {
+    if (Lifespan.tracker != null) {
+      Lifespan.tracker.lifespanFinished(this);
+    }
+    this.isFinished = true;
+
     if (this.callbacks.length > 0) {
       const callbacksArray = this.callbacks;
       this.callbacks = new Array();
 
       for (const callback of callbacksArray) {
-        this.zone.scheduleObserver(callback);
+        this.zone.scheduleObserver(callback, this);
       }
     }
   }
 
   /**
    * Create a sub-lifespan that will be finished when this lifespan is finished.
+   * The name is optional, and is used for debugging.
    */
-  makeSubSpan() {
-    const subSpan = new Lifespan(this.zone);
-    this.onFinish(() => subSpan.finish());
+  makeSubSpan(name) {
+    const subSpan = new Lifespan(this.zone, this, name);
+    const finishSubSpan = () => subSpan.finish();
+    this.onFinish(finishSubSpan);
+    // Views re-render into new subspans; don't accumulate callbacks for the finished ones.
+    subSpan.onFinish(() => this.removeOnFinish(finishSubSpan));
     return subSpan;
   }
+
+  /**
+   * Set a name that describes this Lifespan.  Used for debugging.
+   */
+  setName(name) {
+    this.name = name;
+  }
+
+  /**
+   * Generate a description of this lifespan for debugging.
+   */
+  toString() {
+    return this.constructor.name + (this.name ? " " + this.name : "");
+  }
+
+  /**
+   * Set the handler for errors thrown by observers and actions scheduled
+   * with this lifespan or its sub-lifespans.
+   */
+  setErrorHandler(errorHandler) {
+    FunctionType.check(errorHandler);
+    this.errorHandler = errorHandler;
+  }
+
+  /**
+   * Pass the error to the error handler of this lifespan.  If it doesn't have one,
+   * the parent lifespan handles the error, and at the top level the zone does.
+   */
+  handleError(error) {
+    if (this.errorHandler != null) {
+      this.errorHandler(error);
+    } else if (this.parent != null) {
+      this.parent.handleError(error);
+    } else {
+      this.zone.handleError(error);
+    }
+  }
 }
 
 /**
@@ -76,8 +153,11 @@ class Reference {
 
   /**
    * Dereference this Reference.  See also getValue() standalone function.
+   * If called while a ComputableReference is being computed, this Reference
+   * is recorded as its dependency.
    */
   getValue() {
+    ComputableReference.recordRead(this);
     return this.value;
   }
 
@@ -102,6 +182,14 @@ class Reference {
     this.type.check(value);
   }
 
+  /**
+   * Get the height of this Reference in the dependency graph: zero for References
+   * that don't depend on other References.
+   */
+  getHeight() {
+    return 0;
+  }
+
   /**
    * Set a name that describes this Reference.  Currently used for debugging purposes only.
    */
@@ -167,15 +255,18 @@ class ReferenceWithObservers extends Reference {
     LifespanType.check(lifespan);
     FunctionType.check(callback);
 
-    const observer = new ObserverWithZone(callback, lifespan.zone);
+    const observer = new ObserverWithZone(callback, lifespan);
     this.observers.push(observer);
+    if (Lifespan.tracker != null) {
+      Lifespan.tracker.observerAdded(this, lifespan);
+    }
     const referenceState = this;
     lifespan.onFinish(function() {
       const index = referenceState.observers.indexOf(observer);
       if (index >= 0) {
         referenceState.observers.splice(index, 1);
       } else {
-        panic("Can't find callback in observer list.");
+        panic(new LifecycleError("Can't find callback in observer list."));
       }
     });
   }
@@ -193,6 +284,20 @@ class ReferenceWithObservers extends Reference {
     }
   }
 
+  /**
+   * Get the ComputableReferences that observe this reference to recompute.
+   */
+  getDependents() {
+    const result = [];
+    for (const observer of this.observers) {
+      const reference = observer.callback.reference;
+      if (reference instanceof ComputableReference && !result.includes(reference)) {
+        result.push(reference);
+      }
+    }
+    return result;
+  }
+
   /**
    * Initiate network sync if the requested priority is higher than current.
    */
@@ -215,18 +320,20 @@ class ReferenceWithObservers extends Reference {
 }
 
 /**
- * An internal helper class to keep track of the zone in which observer needs to be invoked.
+ * An internal helper class to keep track of the zone in which observer needs to be invoked,
+ * and of the lifespan that handles its errors.
  * TODO: all callbacks will eventually keep track of affiliated zones, making
  * this class unnecessary.
  */
 class ObserverWithZone {
-  constructor(callback, zone) {
+  constructor(callback, lifespan) {
     this.callback = callback;
-    this.zone = zone;
+    this.lifespan = lifespan;
+    this.zone = lifespan.zone;
   }
 
   schedule() {
-    this.zone.scheduleObserver(this.callback);
+    this.zone.scheduleObserver(this.callback, this.lifespan);
   }
 }
 
@@ -246,7 +353,7 @@ class Boxed extends ReferenceWithObservers {
     FunctionType.check(syncFunction);
 
     if (this.onSync != null) {
-      panic("Already specified a sync function.")
+      panic(new ConfigurationError("Already specified a sync function."));
     } else {
       this.onSync = syncFunction;
     }
@@ -257,18 +364,27 @@ class Boxed extends ReferenceWithObservers {
    */
   setValue(newValue) {
     if (newValue instanceof Reference) {
-      return panic("The value in setValue() can't be a reference.");
+      return panic(new TypeCheckError("The value in setValue() can't be a reference.",
+          newValue, this.type));
     }
 
-    // When the value is the same as the current one, do not trigger observers.
-    if (newValue == this.value) {
+    // When the value is equal to the current one, as defined by the type,
+    // do not trigger observers.
+    if (this.type.equals(newValue, this.value)) {
       return;
     }
 
     this.typecheck(newValue);
 
-    this.value = newValue;
-    this.internalTriggerObservers();
+    const transaction = Transaction.inProgress();
+    if (transaction != null) {
+      // Observers are triggered when the transaction is committed.
+      transaction.recordWrite(this);
+      this.value = newValue;
+    } else {
+      this.value = newValue;
+      this.internalTriggerObservers();
+    }
   }
 
   /**
@@ -276,7 +392,107 @@ class Boxed extends ReferenceWithObservers {
    */
   doSync(priority, lifespan) {
     if (this.onSync != null) {
-      lifespan.zone.scheduleAction(() => this.onSync(priority, lifespan));
+      lifespan.zone.scheduleAction(() => this.onSync(priority, lifespan), lifespan);
+    }
+  }
+}
+
+/**
+ * A Transaction groups updates of Boxed instances into one atomic change.
+ *
+ * While a transaction is in progress, Boxed.setValue() updates the value, but doesn't
+ * trigger observers.  When the transaction is committed, observers of all Boxed instances
+ * that changed are triggered together, so they never see intermediate states.
+ * When the transaction is rolled back, the original values are restored.
+ *
+ * ComputableReferences that depend on the modified values are computed from
+ * the current values when they are read within the transaction, but the cached values
+ * are replaced only when their observers are triggered after the commit.
+ *
+ * Each Zone keeps track of its own transaction.  Transactions should be created
+ * with Zone.transaction() or runInTransaction().
+ */
+class Transaction {
+  /**
+   * Get the transaction in progress in the zone that is currently running, or null.
+   */
+  static inProgress() {
+    return Zone.current != null ? Zone.current.currentTransaction : null;
+  }
+
+  /**
+   * Create a Transaction, nested within a parent transaction if it's not null.
+   */
+  constructor(parent) {
+    this.parent = parent;
+    this.originalValues = new Map();
+    // The Boxed instances modified in this transaction, and the References that depend on them.
+    this.affectedReferences = new Set();
+  }
+
+  /**
+   * Record the value of a Boxed instance before it's modified for the first time.
+   */
+  recordWrite(boxed) {
+    if (!this.originalValues.has(boxed)) {
+      this.originalValues.set(boxed, boxed.value);
+      this.markAffected(boxed);
+    }
+  }
+
+  /**
+   * Mark the reference and the ComputableReferences that depend on it as affected
+   * by this transaction, so that their cached values aren't used until it's committed.
+   */
+  markAffected(reference) {
+    if (this.affectedReferences.has(reference)) {
+      return;
+    }
+    this.affectedReferences.add(reference);
+    for (const dependent of reference.getDependents()) {
+      this.markAffected(dependent);
+    }
+  }
+
+  /**
+   * Check whether the value of the reference depends on the Boxed instances
+   * modified in this transaction, or in one of the enclosing transactions.
+   */
+  affects(reference) {
+    return this.affectedReferences.has(reference) ||
+        (this.parent != null && this.parent.affects(reference));
+  }
+
+  /**
+   * Trigger observers of the Boxed instances that changed.  A nested transaction
+   * instead passes the original values to its parent.
+   */
+  commit() {
+    for (const [boxed, originalValue] of this.originalValues) {
+      if (this.parent != null) {
+        this.parent.recordOriginalValue(boxed, originalValue);
+        this.parent.markAffected(boxed);
+      } else if (!boxed.type.equals(boxed.value, originalValue)) {
+        boxed.internalTriggerObservers();
+      }
+    }
+  }
+
+  /**
+   * Record the original value from a committed nested transaction.
+   */
+  recordOriginalValue(boxed, originalValue) {
+    if (!this.originalValues.has(boxed)) {
+      this.originalValues.set(boxed, originalValue);
+    }
+  }
+
+  /**
+   * Restore the original values of the Boxed instances modified in this transaction.
+   */
+  rollback() {
+    for (const [boxed, originalValue] of this.originalValues) {
+      boxed.value = originalValue;
     }
   }
 }
@@ -288,21 +504,67 @@ class Boxed extends ReferenceWithObservers {
  * When recompute method is called, it invalidates the cached value and forces
  * recomputation on the next access.
  *
+ * Dependencies are tracked automatically: every Reference read via getValue() while
+ * the compute function runs is observed, and the observers are replaced on
+ * each recomputation.  This means that dependencies that are read only on some code
+ * paths (such as the branches of conditional()) are tracked correctly.
+ * The observers are registered with the lifespan passed to the constructor.
+ *
  * For examples of how ComputableReference is used, see andOp() and other functions
  * below.
  */
 class ComputableReference extends ReferenceWithObservers {
   static NEEDS_RECOMPUTE = new Object();
 
+  /**
+   * The ComputableReference whose compute function is currently running, or null.
+   */
+  static currentlyComputing = null;
+
   /**
    * Create a ComputableReference given a function that produces the value,
-   * and the type bound for that value.
+   * the type bound for that value, and the lifespan of the dependency observers.
    */
-  constructor(computeFunction, type) {
+  constructor(computeFunction, type, lifespan) {
     super(ComputableReference.NEEDS_RECOMPUTE, type);
     this.compute = computeFunction;
     this.recompute = () => this.doRecompute();
+    // Allows the zone to order recomputations by height, see Zone.scheduleObserver().
+    this.recompute.reference = this;
+    this.height = 1;
+    this.lifespan = defaultLifespan(lifespan);
     this.dependsOnReferences = [];
+    this.trackedReferences = [];
+    this.trackingSpan = null;
+    this.isComputing = false;
+  }
+
+  /**
+   * Record that the given reference was read by the ComputableReference
+   * that is currently being computed, if there is one.  Internal use only.
+   */
+  static recordRead(reference) {
+    const current = ComputableReference.currentlyComputing;
+    if (current != null && current != reference &&
+        !current.trackedReferences.includes(reference)) {
+      current.trackedReferences.push(reference);
+    }
+  }
+
+  /**
+   * Call the function outside of any compute function, and add the References it reads
+   * to the given array.  Returns the result of the function.  Used to track
+   * the dependencies of code that has side effects, and can't run in a compute function.
+   */
+  static trackReads(trackedFunction, trackedReferences) {
+    const outerComputing = ComputableReference.currentlyComputing;
+    ComputableReference.currentlyComputing = { trackedReferences: trackedReferences };
+
+    try {
+      return trackedFunction();
+    } finally {
+      ComputableReference.currentlyComputing = outerComputing;
+    }
   }
 
   /**
@@ -310,20 +572,121 @@ class ComputableReference extends ReferenceWithObservers {
    * and caching it.
    */
   getValue() {
+    ComputableReference.recordRead(this);
+
+    const transaction = Transaction.inProgress();
+    if (transaction != null && transaction.affects(this)) {
+      return this.computeInTransaction();
+    }
+
     if (this.value === ComputableReference.NEEDS_RECOMPUTE) {
-      const newValue = this.compute();
+      if (this.isComputing) {
+        panic(new DependencyError("Circular dependency for " + this, { reference: this }));
+      }
+
+      const newValue = this.computeAndTrack();
 
       if (newValue === ComputableReference.NEEDS_RECOMPUTE) {
         panic("Computed NEEDS_RECOMPUTE in compute reference: " + this);
       }
 
       this.typecheck(newValue);
+      if (transaction != null &&
+          this.trackedReferences.some((reference) => transaction.affects(reference))) {
+        // Computed from the values modified in the transaction: if it's rolled back,
+        // the value would be wrong, so it's cached only after the commit.
+        transaction.markAffected(this);
+        return newValue;
+      }
       this.value = newValue;
     }
 
     return this.value;
   }
 
+  /**
+   * Call the compute function without caching the result or changing the dependencies.
+   * Used when the dependencies were modified in a transaction that is in progress:
+   * the cached value is replaced when the transaction is committed.
+   */
+  computeInTransaction() {
+    if (this.isComputing) {
+      panic(new DependencyError("Circular dependency for " + this, { reference: this }));
+    }
+
+    const outerComputing = ComputableReference.currentlyComputing;
+    ComputableReference.currentlyComputing = null;
+    this.isComputing = true;
+
+    try {
+      const newValue = this.compute();
+      this.typecheck(newValue);
+      return newValue;
+    } finally {
+      this.isComputing = false;
+      ComputableReference.currentlyComputing = outerComputing;
+    }
+  }
+
+  /**
+   * Call the compute function, recording the References it reads,
+   * and then observe them instead of the ones recorded previously.
+   */
+  computeAndTrack() {
+    const outerComputing = ComputableReference.currentlyComputing;
+    ComputableReference.currentlyComputing = this;
+    this.isComputing = true;
+    this.trackedReferences = [];
+
+    try {
+      return this.compute();
+    } finally {
+      this.isComputing = false;
+      ComputableReference.currentlyComputing = outerComputing;
+
+      if (this.trackingSpan != null) {
+        this.trackingSpan.finish();
+      }
+      // The name is only used by the lifespan tracker; don't build it on every recompute.
+      this.trackingSpan = this.lifespan.makeSubSpan(Lifespan.tracker != null ?
+          "tracking " + (this.name ? this.name : "ComputableReference") : null);
+
+      for (const reference of this.trackedReferences) {
+        reference.observe(this.trackingSpan, this.recompute);
+      }
+
+      this.updateHeight();
+    }
+  }
+
+  /**
+   * The height is one more than the maximum height of the dependencies.
+   * Recomputations of lower References are processed first, so that by the time
+   * a ComputableReference is recomputed, all of its dependencies are up to date.
+   */
+  getHeight() {
+    return this.height;
+  }
+
+  /**
+   * Update the height after the dependencies change.  If the height changes,
+   * the heights of the dependent ComputableReferences are updated as well,
+   * so that they are still recomputed after this one.
+   */
+  updateHeight() {
+    var height = 1;
+    for (const dependence of this.getDependencies()) {
+      height = Math.max(height, dependence.getHeight() + 1);
+    }
+
+    if (height != this.height) {
+      this.height = height;
+      for (const dependent of this.getDependents()) {
+        dependent.updateHeight();
+      }
+    }
+  }
+
   /**
    * Validate the value type, allowing a special NEEDS_RECOMPUTE value which marks
    * ComputableReference that needs to produce a value on the next access.
@@ -337,27 +700,67 @@ class ComputableReference extends ReferenceWithObservers {
   /**
    * Invalidates cached value in this ComputableReference instance, and triggers observers.
    * This function should be accessed via the `recompute` field.
+   *
+   * If there are observers, the value is recomputed right away, and the observers
+   * are triggered only if the new value is not equal to the old one, as defined by the type.
+   * Otherwise the value is recomputed lazily, on the next access.
    */
   doRecompute() {
     if (this.value === ComputableReference.NEEDS_RECOMPUTE) {
       return;
     }
 
+    const oldValue = this.value;
     this.value = ComputableReference.NEEDS_RECOMPUTE;
-    this.internalTriggerObservers();
+
+    if (this.observers.length == 0) {
+      return;
+    }
+
+    var newValue;
+    try {
+      newValue = this.getValue();
+    } catch (error) {
+      // Let the observers see the error when they access the value.
+      this.internalTriggerObservers();
+      throw error;
+    }
+
+    if (!this.type.equals(newValue, oldValue)) {
+      this.internalTriggerObservers();
+    }
   }
 
   /**
-   * Call sync on dependencies.
+   * Call sync on dependencies.  Since dependencies are discovered when the value is
+   * computed, the value is computed first if needed.
    */
   doSync(priority, lifespan) {
-    for (const dependence of this.dependsOnReferences) {
+    this.getValue();
+
+    for (const dependence of this.getDependencies()) {
       sync(dependence, priority, lifespan);
     }
   }
 
+  /**
+   * Get all References this reference depends on: the ones declared with dependsOn(),
+   * and the ones read during the last computation.
+   */
+  getDependencies() {
+    const result = [...this.dependsOnReferences];
+    for (const reference of this.trackedReferences) {
+      if (!result.includes(reference)) {
+        result.push(reference);
+      }
+    }
+    return result;
+  }
+
   /**
    * Add an object that this reference depends on.
+   * Dependencies that are read in the compute function are tracked automatically;
+   * this is needed only to declare dependencies that are not read.
    */
   dependsOn(anotherObject) {
     if (!(anotherObject instanceof Reference)) {
@@ -365,10 +768,11 @@ class ComputableReference extends ReferenceWithObservers {
     }
 
     if (this.introducesCycle(anotherObject)) {
-      panic("Circular dependency for " + this);
+      panic(new DependencyError("Circular dependency for " + this, { reference: this }));
     }
 
     this.dependsOnReferences.push(anotherObject);
+    this.updateHeight();
   }
 
   /**
@@ -391,7 +795,7 @@ class ComputableReference extends ReferenceWithObservers {
       }
 
       if (theReference instanceof ComputableReference) {
-        for (const dependence of theReference.dependsOnReferences) {
+        for (const dependence of theReference.getDependencies()) {
           if (!dependenciesSet.has(dependence)) {
             dependenciesList.push(dependence);
             dependenciesSet.add(dependence);
@@ -406,6 +810,9 @@ class ComputableReference extends ReferenceWithObservers {
   /**
    * Add a dependency and introduce observer in one operation.
    * The observer recomputes the reference.
+   *
+   * Not needed for References that are read in the compute function,
+   * since those are tracked automatically.
    */
   observeAndDependsOn(object, lifespan) {
     if (object instanceof Reference) {
@@ -415,6 +822,139 @@ class ComputableReference extends ReferenceWithObservers {
   }
 }
 
+/**
+ * AsyncReference wraps a function that returns a promise, and exposes the state
+ * of the asynchronous computation as three References: status (an AsyncStatus),
+ * value (the latest result, or null) and error (the latest error, or null).
+ *
+ * The function is invoked with a lifespan that's finished when the invocation
+ * is cancelled, which can be used to abort the request.  Like in ComputableReference,
+ * References read by the function before it returns are tracked: when they change,
+ * the function is invoked again, and results of the stale invocations are ignored.
+ * Since the function starts a request, it's invoked by an observer or an action,
+ * and not in a compute function.
+ *
+ * When an invocation fails, the status is ERROR, and value keeps the previous result.
+ * Everything is cancelled when the lifespan passed to the constructor is finished.
+ */
+class AsyncReference {
+  /**
+   * Create an AsyncReference given a promise-returning function, the type of the result,
+   * and the lifespan.  The first invocation is scheduled in the lifespan's zone.
+   */
+  constructor(asyncFunction, type, lifespan) {
+    FunctionType.check(asyncFunction);
+    TypeType.check(type);
+
+    this.asyncFunction = asyncFunction;
+    this.type = type;
+    this.lifespan = defaultLifespan(lifespan);
+    this.status = makeBoxed(AsyncStatus.IDLE, AsyncStatus);
+    this.value = makeBoxed(null, Optional(type));
+    this.error = makeBoxed(null, ObjectType);
+    this.sequence = 0;
+    this.invocationSpan = null;
+    // The same function is used for all dependencies, so that the zone collapses
+    // the invocations when several of them change together.
+    this.invokeObserver = () => this.invoke();
+
+    this.lifespan.onFinish(() => this.cancel());
+    this.lifespan.zone.scheduleAction(this.invokeObserver, this.lifespan);
+  }
+
+  /**
+   * Invoke the function again, even if the References it depends on didn't change.
+   */
+  refresh() {
+    this.invoke();
+  }
+
+  /**
+   * Cancel the invocation in progress, if any.
+   */
+  cancel() {
+    // Results of the invocations with the old sequence number will be ignored.
+    this.sequence += 1;
+
+    if (this.invocationSpan != null) {
+      this.invocationSpan.finish();
+      this.invocationSpan = null;
+    }
+
+    if (this.status.value == AsyncStatus.LOADING) {
+      setValue(this.status, AsyncStatus.IDLE);
+    }
+  }
+
+  /**
+   * Start a new invocation of the function, and observe the References it reads
+   * until the next invocation.  Internal use only.
+   */
+  invoke() {
+    this.cancel();
+    const sequence = this.sequence;
+    this.invocationSpan = this.lifespan.makeSubSpan("AsyncReference");
+    setValue(this.status, AsyncStatus.LOADING);
+
+    const resolve = (result) => {
+      if (sequence == this.sequence) {
+        this.resolved(result);
+      }
+    };
+    const reject = (error) => {
+      if (sequence == this.sequence) {
+        this.rejected(error);
+      }
+    };
+
+    const invocationSpan = this.invocationSpan;
+    const dependencies = [];
+    try {
+      const result = ComputableReference.trackReads(
+          () => this.asyncFunction(invocationSpan), dependencies);
+      if (result != null && typeof result.then == "function") {
+        result.then(resolve, reject);
+      } else {
+        resolve(result);
+      }
+    } catch (error) {
+      reject(error);
+    }
+
+    for (const dependence of dependencies) {
+      dependence.observe(invocationSpan, this.invokeObserver);
+    }
+  }
+
+  /**
+   * Record the result of a successful invocation.
+   */
+  resolved(result) {
+    try {
+      this.type.check(result);
+    } catch (error) {
+      this.rejected(error);
+      return;
+    }
+
+    runInTransaction(() => {
+      setValue(this.value, result);
+      setValue(this.error, null);
+      setValue(this.status, AsyncStatus.READY);
+    }, this.lifespan);
+  }
+
+  /**
+   * Record the error of a failed invocation.
+   */
+  rejected(error) {
+    runInTransaction(() => {
+      setValue(this.error, error);
+      setValue(this.status, AsyncStatus.ERROR);
+    }, this.lifespan);
+  }
+}
+
 /**
  * Dereference this object, if needed.  This allows mixing References and objects
  * without syntactic overhead: getValue() works with either one.
@@ -436,7 +976,7 @@ function getValue(object) {
  */
 function setValue(object, value) {
   if (!(object instanceof Boxed)) {
-    return panic("Can't call setValue on a non-Boxed reference.");
+    return panic(new TypeCheckError("Can't call setValue on a non-Boxed reference.", object));
   }
 
   return object.setValue(value);
@@ -485,6 +1025,14 @@ function defaultLifespan(lifespan) {
   }
 }
 
+/**
+ * Run the function in a transaction in the zone of the given lifespan,
+ * or the default one.  See Zone.transaction().
+ */
+function runInTransaction(transactionFunction, lifespan) {
+  return defaultLifespan(lifespan).zone.transaction(transactionFunction);
+}
+
 /**
  * Check whether the code is running on the server, with Node.js.
  */
@@ -493,62 +1041,726 @@ function isOnServer() {
 }
 
 /**
- * Called when a fatal error is encountered.
- * Notifies the programmer by logging the message and showing an alert.
- * An exception is thrown to record the stack trace in developer console.
+ * Check whether the page was loaded from the filesystem, with a file: URL.
  */
-function panic(message) {
-  console.log(message);
-  if (!isOnServer()) {
-    alert("Fatal error: " + message);
-  }
-  throw message;
+function isOnFilesystem() {
+  return typeof window !== 'undefined' && window.location.href.toLowerCase().startsWith("file:");
 }
 
 /**
- * A wrapper around Array that supports observeration and is limited to a specific type.
+ * The base class of errors thrown by panic().  In addition to the message,
+ * the context object records structured information about the error.
  */
-class List {
-  /**
-   * Create an instance of list from array of elements.
-   */
-  constructor(elementsArray, elementType) {
-    ArrayType.check(elementsArray);
-    TypeType.check(elementType);
-    for (const element of elementsArray) {
-      elementType.check(element);
-    }
-
-    this.elements = elementsArray;
-    this.elementType = elementType;
+class PanicError extends Error {
+  constructor(message, context) {
+    super(message);
+    this.name = this.constructor.name;
+    this.context = context ? context : {};
   }
+}
 
-  /**
-   * Get this list's size.
-   * TODO: return a Ref.
-   */
-  size() {
-    return this.elements.length;
+/**
+ * A value doesn't match the expected type.
+ */
+class TypeCheckError extends PanicError {
+  constructor(message, value, type, path) {
+    super(message, { value: value, type: type, path: path });
   }
+}
 
-  /**
-   * Get the element of the list.
-   */
-  get(index) {
-    if (index >= this.elements.length) {
-      panic("Index out of bounds.")
-    }
-    return this.elements[index];
-  }
+/**
+ * Lifespans, observers or zones were used incorrectly.
+ */
+class LifecycleError extends PanicError { }
 
-  /**
-   * Return array of elements for iteration.
-   */
+/**
+ * The dependencies of a ComputableReference are circular.
+ */
+class DependencyError extends PanicError { }
+
+/**
+ * Namespaces or their members were defined or used incorrectly.
+ */
+class ReflectionError extends PanicError { }
+
+/**
+ * The arguments of a method call don't match the method's parameters.
+ */
+class ArgumentError extends PanicError { }
+
+/**
+ * Synchronization with the server failed.
+ */
+class SyncError extends PanicError { }
+
+/**
+ * The application was configured incorrectly, for example a setting was specified twice.
+ */
+class ConfigurationError extends PanicError { }
+
+/**
+ * Program in the UI language can't be parsed.
+ */
+class ParseError extends PanicError { }
+
+/**
+ * Called when a fatal error is encountered.  Throws the error, which can be either
+ * a PanicError (or other Error) instance, or a message for a generic PanicError.
+ * Before the error is thrown, it's passed to the panic handler, which logs it by default.
+ *
+ * Errors thrown by observers and actions are passed to the error handler of the lifespan
+ * or zone; errors that are not handled are passed to the error reporters.
+ */
+function panic(error) {
+  if (!(error instanceof Error)) {
+    error = new PanicError(error);
+  }
+  panicHandler(error);
+  throw error;
+}
+
+/**
+ * The function that panic() invokes with every error, whether or not it's handled later.
+ */
+var panicHandler = logErrorReporter;
+
+/**
+ * Replace the function that panic() invokes with every error.  Tests that expect panics
+ * can use it to silence the default log.
+ */
+function setPanicHandler(handler) {
+  FunctionType.check(handler);
+  panicHandler = handler;
+}
+
+/**
+ * Functions that are invoked with the errors that no error handler handled.
+ */
+const errorReporters = [ logErrorReporter ];
+
+/**
+ * Add a function that is invoked with errors that no error handler handled.
+ */
+function addErrorReporter(reporter) {
+  FunctionType.check(reporter);
+  errorReporters.push(reporter);
+}
+
+/**
+ * Pass the error to all error reporters.
+ */
+function reportError(error) {
+  for (const reporter of errorReporters) {
+    reporter(error);
+  }
+}
+
+/**
+ * The errors that were logged by logErrorReporter().
+ */
+const loggedErrors = new WeakSet();
+
+/**
+ * The default error reporter and panic handler: log the error to the console.
+ * An error that panic() already logged is not logged again when it's reported.
+ */
+function logErrorReporter(error) {
+  if (error instanceof Object) {
+    if (loggedErrors.has(error)) {
+      return;
+    }
+    loggedErrors.add(error);
+  }
+  console.log(error);
+}
+
+/**
+ * An error reporter for development: notifies the programmer by showing an alert.
+ * Enable with addErrorReporter(alertErrorReporter).
+ */
+function alertErrorReporter(error) {
+  if (!isOnServer()) {
+    alert("Fatal error: " + (error instanceof Error ? error.message : error));
+  }
+}
+
+/**
+ * A wrapper around Array that supports observeration and is limited to a specific type.
+ */
+class List {
+  /**
+   * Create an instance of list from array of elements.
+   */
+  constructor(elementsArray, elementType) {
+    ArrayType.check(elementsArray);
+    TypeType.check(elementType);
+    for (const element of elementsArray) {
+      elementType.check(element);
+    }
+
+    this.elements = elementsArray;
+    this.elementType = elementType;
+  }
+
+  /**
+   * Get this list's size.
+   * TODO: return a Ref.
+   */
+  size() {
+    return this.elements.length;
+  }
+
+  /**
+   * Get the element of the list.
+   */
+  get(index) {
+    if (index >= this.elements.length) {
+      panic("Index out of bounds.")
+    }
+    return this.elements[index];
+  }
+
+  /**
+   * Return array of elements for iteration.
+   */
   iterate() {
     return this.elements;
   }
 }
 
+/**
+ * A change record of an ObservableList, in the style of Array.splice():
+ * starting at the given index, the removed elements were replaced with the added elements.
+ */
+class ListSplice {
+  constructor(index, removed, added) {
+    this.index = index;
+    this.removed = removed;
+    this.added = added;
+  }
+
+  toString() {
+    return "ListSplice " + this.index + " -" + this.removed.length + " +" + this.added.length;
+  }
+}
+
+/**
+ * A mutable List that notifies observers when it changes.
+ *
+ * Observers registered with observe() are invoked on any change, and reading the elements
+ * in a ComputableReference makes it depend on the list.  Observers registered with
+ * observeChanges() receive an array of ListSplice records describing the changes since
+ * the last invocation, which allows updating derived state incrementally.
+ *
+ * All mutations are type checked against the element type.
+ */
+class ObservableList extends List {
+  /**
+   * Create an instance of list with a copy of the array of elements.
+   */
+  constructor(elementsArray, elementType) {
+    super([...elementsArray], elementType);
+    this.sizeBoxed = makeBoxed(this.elements.length, IntegerType);
+    this.version = makeBoxed(0, IntegerType);
+    this.changeObservers = new Array();
+  }
+
+  /**
+   * Get this list's size.
+   */
+  size() {
+    return getValue(this.sizeBoxed);
+  }
+
+  /**
+   * Get a Reference to this list's size.  It should be used only for reading.
+   */
+  sizeReference() {
+    return this.sizeBoxed;
+  }
+
+  /**
+   * Get the element of the list.
+   */
+  get(index) {
+    getValue(this.version);
+    return super.get(index);
+  }
+
+  /**
+   * Return array of elements for iteration.  The array should not be modified.
+   */
+  iterate() {
+    getValue(this.version);
+    return this.elements;
+  }
+
+  /**
+   * Remove removeCount elements starting at index, and insert added elements in their place.
+   * Returns the array of removed elements.
+   */
+  splice(index, removeCount, addedElements) {
+    IntegerType.check(index);
+    IntegerType.check(removeCount);
+    ArrayType.check(addedElements);
+
+    if (index < 0 || removeCount < 0 || index + removeCount > this.elements.length) {
+      panic("Index out of bounds.");
+    }
+
+    for (const element of addedElements) {
+      this.elementType.check(element);
+    }
+
+    const removed = this.elements.splice(index, removeCount, ...addedElements);
+    this.notifyChange(new ListSplice(index, removed, [...addedElements]));
+    return removed;
+  }
+
+  /**
+   * Insert the element at the given index.
+   */
+  insert(index, element) {
+    this.splice(index, 0, [ element ]);
+  }
+
+  /**
+   * Add the element at the end of the list.
+   */
+  add(element) {
+    this.insert(this.elements.length, element);
+  }
+
+  /**
+   * Remove the element at the given index, and return it.
+   */
+  remove(index) {
+    this.checkIndex(index);
+    return this.splice(index, 1, [])[0];
+  }
+
+  /**
+   * Move the element at fromIndex so that it ends up at toIndex.
+   */
+  move(fromIndex, toIndex) {
+    this.checkIndex(fromIndex);
+    this.checkIndex(toIndex);
+
+    if (fromIndex != toIndex) {
+      this.insert(toIndex, this.remove(fromIndex));
+    }
+  }
+
+  /**
+   * Replace the element at the given index, and return the old element.
+   */
+  replace(index, element) {
+    this.checkIndex(index);
+    return this.splice(index, 1, [ element ])[0];
+  }
+
+  /**
+   * Panic if the index doesn't point to an element of this list.
+   */
+  checkIndex(index) {
+    if (!IntegerType.isInstance(index) || index < 0 || index >= this.elements.length) {
+      panic("Index out of bounds.");
+    }
+  }
+
+  /**
+   * Register a callback with a given lifespan that gets invoked when the list changes.
+   */
+  observe(lifespan, callback) {
+    this.version.observe(lifespan, callback);
+  }
+
+  /**
+   * Register a callback with a given lifespan that gets invoked with
+   * an array of ListSplice records when the list changes.
+   * Returns the ListChangeObserver, which can deliver the pending changes early.
+   */
+  observeChanges(lifespan, callback) {
+    LifespanType.check(lifespan);
+    FunctionType.check(callback);
+
+    const observer = new ListChangeObserver(callback, lifespan);
+    this.changeObservers.push(observer);
+    const list = this;
+    lifespan.onFinish(function() {
+      const index = list.changeObservers.indexOf(observer);
+      if (index >= 0) {
+        list.changeObservers.splice(index, 1);
+      } else {
+        panic(new LifecycleError("Can't find callback in observer list."));
+      }
+    });
+    return observer;
+  }
+
+  /**
+   * Update the size, and notify all observers.  Internal use only.
+   */
+  notifyChange(change) {
+    setValue(this.sizeBoxed, this.elements.length);
+    setValue(this.version, this.version.value + 1);
+
+    for (const observer of [...this.changeObservers]) {
+      observer.addChange(change);
+    }
+  }
+}
+
+/**
+ * An internal helper class that accumulates ListSplice records for an observer,
+ * and delivers them in a batch when the zone processes observers.
+ */
+class ListChangeObserver {
+  constructor(callback, lifespan) {
+    this.callback = callback;
+    this.lifespan = lifespan;
+    this.changes = new Array();
+  }
+
+  addChange(change) {
+    // A new batch gets a new observer function, so that changes made while
+    // the previous batch is being delivered are not collapsed into it.
+    if (this.changes.length == 0) {
+      this.lifespan.zone.scheduleObserver(() => this.deliverChanges(), this.lifespan);
+    }
+    this.changes.push(change);
+  }
+
+  /**
+   * Invoke the callback with the changes accumulated so far, if there are any.
+   * This is a no-op if the changes were already delivered early.
+   */
+  deliverChanges() {
+    if (this.changes.length == 0) {
+      return;
+    }
+    const changes = this.changes;
+    this.changes = new Array();
+    this.callback(changes);
+  }
+}
+
+/**
+ * An ObservableList that is derived from a source ObservableList by applying
+ * the source's changes incrementally.  Used by mapList(), filterList() and sortList().
+ *
+ * The changes are applied when the zone processes observers, or when the derived list
+ * is read, whichever comes first.  This way reading a derived list right after
+ * the source list is modified returns up-to-date elements.
+ */
+class DerivedList extends ObservableList {
+  /**
+   * Create a derived list given the initial elements, the source list, and a function
+   * that updates the derived list given an array of the source's ListSplice records.
+   */
+  constructor(elementsArray, elementType, source, applyChanges, lifespan) {
+    super(elementsArray, elementType);
+    this.source = source;
+    this.changeObserver = source.observeChanges(lifespan, applyChanges);
+  }
+
+  /**
+   * Apply the changes of the source list that were not applied yet.
+   */
+  applyPendingChanges() {
+    if (this.source instanceof DerivedList) {
+      this.source.applyPendingChanges();
+    }
+    this.changeObserver.deliverChanges();
+  }
+
+  size() {
+    this.applyPendingChanges();
+    return super.size();
+  }
+
+  get(index) {
+    this.applyPendingChanges();
+    return super.get(index);
+  }
+
+  iterate() {
+    this.applyPendingChanges();
+    return super.iterate();
+  }
+}
+
+/**
+ * A mutable map with typed keys and values that notifies observers when it changes.
+ *
+ * Reads are tracked by ComputableReference like reads of any other Reference:
+ * get(key) depends only on the given key, while keys(), size() and has(key) depend
+ * on the set of keys.  The corresponding References can be obtained with
+ * valueReference(key), keysReference(), sizeReference() and hasReference(key).
+ */
+class ObservableMap {
+  /**
+   * Create a map given a Map or an array of [key, value] entries, and the types.
+   */
+  constructor(entries, keyType, valueType) {
+    TypeType.check(keyType);
+    TypeType.check(valueType);
+
+    this.keyType = keyType;
+    this.valueType = valueType;
+    this.type = MapOf(keyType, valueType);
+    this.entries = new Map();
+    this.valueBoxes = new Map();
+    this.sizeBoxed = makeBoxed(0, IntegerType);
+    this.keysVersion = makeBoxed(0, IntegerType);
+    this.version = makeBoxed(0, IntegerType);
+
+    for (const [key, value] of entries) {
+      this.set(key, value);
+    }
+  }
+
+  /**
+   * Get the value for the key, or null if there is no such key.
+   */
+  get(key) {
+    if (ComputableReference.currentlyComputing == null && !this.valueBoxes.has(key)) {
+      // The read doesn't need to be tracked, so there is no need for a Reference.
+      this.keyType.check(key);
+      return this.getEntry(key);
+    }
+    return getValue(this.valueReference(key));
+  }
+
+  /**
+   * Get the value for the key without tracking the read.  Internal use only.
+   */
+  getEntry(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  /**
+   * Get a Reference to the value for the key, which is null if there is no such key.
+   * It should be used only for reading.  The map keeps the Reference up to date
+   * from its first observer until the lifespans of all the observers are finished.
+   */
+  valueReference(key) {
+    const boxes = this.valueBoxes.get(key);
+    if (boxes) {
+      return boxes.values().next().value;
+    }
+
+    this.keyType.check(key);
+    return new MapValueBoxed(this, key);
+  }
+
+  /**
+   * Check whether the map updates the Boxed value of a key.  Internal use only.
+   */
+  isValueBoxedAttached(boxed) {
+    const boxes = this.valueBoxes.get(boxed.key);
+    return boxes != null && boxes.has(boxed);
+  }
+
+  /**
+   * Start updating the Boxed value of a key.  Internal use only.
+   */
+  attachValueBoxed(boxed) {
+    var boxes = this.valueBoxes.get(boxed.key);
+    if (!boxes) {
+      boxes = new Set();
+      this.valueBoxes.set(boxed.key, boxes);
+    }
+    if (!boxes.has(boxed)) {
+      // The value could have changed while the Boxed wasn't attached.
+      boxed.value = this.getEntry(boxed.key);
+      boxes.add(boxed);
+    }
+  }
+
+  /**
+   * Stop updating the Boxed value of a key if it has no observers.  Internal use only.
+   */
+  releaseValueBoxed(boxed) {
+    const boxes = this.valueBoxes.get(boxed.key);
+    if (boxes && boxed.observers.length == 0) {
+      boxes.delete(boxed);
+      if (boxes.size == 0) {
+        this.valueBoxes.delete(boxed.key);
+      }
+    }
+  }
+
+  /**
+   * Check whether the map has the key.
+   */
+  has(key) {
+    getValue(this.keysVersion);
+    return this.entries.has(key);
+  }
+
+  /**
+   * Get a Reference to a boolean that is true iff the map has the key.
+   */
+  hasReference(key, lifespan) {
+    return makeComputableReference(() => this.has(key), BooleanType, lifespan);
+  }
+
+  /**
+   * Get the array of keys.  The array should not be modified.
+   */
+  keys() {
+    getValue(this.keysVersion);
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Get a Reference to the List of keys.
+   */
+  keysReference(lifespan) {
+    return makeComputableReference(() => new List(this.keys(), this.keyType),
+        ListOf(this.keyType), lifespan);
+  }
+
+  /**
+   * Get the number of entries.
+   */
+  size() {
+    return getValue(this.sizeBoxed);
+  }
+
+  /**
+   * Get a Reference to the number of entries.  It should be used only for reading.
+   */
+  sizeReference() {
+    return this.sizeBoxed;
+  }
+
+  /**
+   * Set the value for the key.
+   */
+  set(key, value) {
+    this.keyType.check(key);
+    this.valueType.check(value);
+
+    const isNewKey = !this.entries.has(key);
+    if (!isNewKey && this.valueType.equals(value, this.entries.get(key))) {
+      return;
+    }
+
+    this.entries.set(key, value);
+    this.notifyChange(key, value, isNewKey);
+  }
+
+  /**
+   * Remove the key from the map.  Returns true if the key was present.
+   */
+  delete(key) {
+    if (!this.entries.has(key)) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    this.notifyChange(key, null, true);
+    return true;
+  }
+
+  /**
+   * Remove all the keys.
+   */
+  clear() {
+    for (const key of [...this.entries.keys()]) {
+      this.delete(key);
+    }
+  }
+
+  /**
+   * Register a callback with a given lifespan that gets invoked when the map changes.
+   */
+  observe(lifespan, callback) {
+    this.version.observe(lifespan, callback);
+  }
+
+  /**
+   * Register a callback with a given lifespan that gets invoked
+   * when the value for the given key changes.
+   */
+  observeKey(key, lifespan, callback) {
+    this.valueReference(key).observe(lifespan, callback);
+  }
+
+  /**
+   * Convert the map into a JSON-compatible object.
+   */
+  toJson() {
+    return this.type.toJson(this.entries);
+  }
+
+  /**
+   * Update the map from a JSON-compatible object, in a transaction.  Only the keys
+   * that changed are updated, and keys that are not in the object are removed.
+   */
+  fromJson(json) {
+    const newEntries = this.type.fromJson(json);
+    runInTransaction(() => {
+      for (const key of [...this.entries.keys()]) {
+        if (!newEntries.has(key)) {
+          this.delete(key);
+        }
+      }
+      for (const [key, value] of newEntries) {
+        this.set(key, value);
+      }
+    });
+  }
+
+  /**
+   * Update the References, and notify observers.  Internal use only.
+   */
+  notifyChange(key, value, isKeyChange) {
+    const boxes = this.valueBoxes.get(key);
+    if (boxes) {
+      for (const boxed of [...boxes]) {
+        setValue(boxed, value);
+      }
+    }
+
+    if (isKeyChange) {
+      setValue(this.sizeBoxed, this.entries.size);
+      setValue(this.keysVersion, this.keysVersion.value + 1);
+    }
+    setValue(this.version, this.version.value + 1);
+  }
+}
+
+/**
+ * An internal helper class for the value References of ObservableMap.  The map updates
+ * the Boxed while it has observers, and releases it when their lifespans are finished.
+ * If the Boxed is observed again after that, the map starts updating it again.
+ * While the Boxed isn't attached to the map, the value is read from the map directly.
+ */
+class MapValueBoxed extends Boxed {
+  constructor(map, key) {
+    super(map.getEntry(key), Optional(map.valueType));
+    this.map = map;
+    this.key = key;
+  }
+
+  getValue() {
+    if (!this.map.isValueBoxedAttached(this)) {
+      this.value = this.map.getEntry(this.key);
+    }
+    return super.getValue();
+  }
+
+  observe(lifespan, callback) {
+    this.map.attachValueBoxed(this);
+    super.observe(lifespan, callback);
+    // Runs after the observer is removed, since the callbacks are invoked in order.
+    lifespan.onFinish(() => this.map.releaseValueBoxed(this));
+  }
+}
+
 /**
  * A Zone encapsulates execution context--for example, identifying an event loop.
  * It is possible to schedule observers or actions in a given zone.
@@ -556,9 +1768,20 @@ class List {
  * Observer execution can be 'collapsed' by the implementation:
  * if two or more instances of the same observer are scheduled,
  * they may be invoked only once.
+ *
+ * Observers are processed in the order of height: ComputableReference recomputations
+ * are ordered by the height of the reference in the dependency graph, and all
+ * other observers run after them.  As a result, each ComputableReference is invalidated
+ * at most once per change, and observers never see a mix of old and new values.
+ *
  * Scheduled actions are executed only after all pending observers are processed.
  */
 class Zone {
+  /**
+   * The zone that is processing its queues or running a transaction, or null.
+   */
+  static current = null;
+
   /**
    * Create a Zone instance that processes observer and action queues
    * on the main event loop.
@@ -567,15 +1790,19 @@ class Zone {
     this.observerQueue = new Array();
     this.observerSet = new Set();
     this.actionQueue = new Array();
+    this.afterObserversQueue = new Array();
     this.processingScheduled = false;
     this.suppressedObserver = null;
+    this.errorHandler = null;
+    this.currentTransaction = null;
   }
 
   /**
    * Schedules observer for execution.
    * If the observer already scheduled on the queue, this is a no-op.
+   * Errors thrown by the observer are handled by the lifespan, if specified.
    */
-  scheduleObserver(observer) {
+  scheduleObserver(observer, lifespan) {
     FunctionType.check(observer);
 
     // Collapse observer invokations
@@ -583,28 +1810,117 @@ class Zone {
       return;
     }
 
-    this.observerQueue.push(observer);
+    // Keep the queue sorted by height; observers of the same height run in FIFO order.
+    const height = this.getObserverHeight(observer);
+    var index = this.observerQueue.length;
+    while (index > 0 && this.observerQueue[index - 1].height > height) {
+      --index;
+    }
+
+    this.observerQueue.splice(index, 0,
+        { observer: observer, height: height, lifespan: lifespan });
     this.observerSet.add(observer);
     this.scheduleProcessing();
   }
 
+  /**
+   * Get the height of the observer: the height of the reference for recompute
+   * observers of ComputableReferences, and Infinity for all other observers.
+   */
+  getObserverHeight(observer) {
+    if (observer.reference instanceof ComputableReference) {
+      return observer.reference.getHeight();
+    } else {
+      return Infinity;
+    }
+  }
+
   /**
    * Schedules action for execution.
+   * Errors thrown by the action are handled by the lifespan, if specified.
    */
-  scheduleAction(action) {
+  scheduleAction(action, lifespan) {
     FunctionType.check(action);
 
-    this.actionQueue.push(action);
+    this.actionQueue.push({ action: action, lifespan: lifespan });
+    this.scheduleProcessing();
+  }
+
+  /**
+   * Schedules callback for execution after the pending observers are processed,
+   * and before the next action.  This allows handling all the changes made by one action,
+   * including the ones made by the observers it triggered, together.
+   */
+  scheduleAfterObservers(callback, lifespan) {
+    FunctionType.check(callback);
+
+    this.afterObserversQueue.push({ action: callback, lifespan: lifespan });
     this.scheduleProcessing();
   }
 
   /**
    * Schedules action for execution after a specified delay.
    */
-  scheduleDelayedAction(action, delayMilliseconds) {
+  scheduleDelayedAction(action, delayMilliseconds, lifespan) {
     FunctionType.check(action);
 
-    setTimeout(() => this.scheduleAction(action), delayMilliseconds);
+    setTimeout(() => this.scheduleAction(action, lifespan), delayMilliseconds);
+  }
+
+  /**
+   * Get the current time in milliseconds.
+   */
+  now() {
+    return Date.now();
+  }
+
+  /**
+   * Set the handler for errors thrown by observers and actions in this zone
+   * that are not handled by a lifespan.
+   */
+  setErrorHandler(errorHandler) {
+    FunctionType.check(errorHandler);
+    this.errorHandler = errorHandler;
+  }
+
+  /**
+   * Pass the error to the error handler of this zone, or report it if there isn't one.
+   */
+  handleError(error) {
+    if (this.errorHandler != null) {
+      this.errorHandler(error);
+    } else {
+      reportError(error);
+    }
+  }
+
+  /**
+   * Run the function in a transaction and return its result.  Observers of the Boxed
+   * values that it modifies are triggered only after the function returns.
+   * If the function throws, all modified Boxed values are restored and the exception
+   * is rethrown.  Transactions can be nested.
+   */
+  transaction(transactionFunction) {
+    FunctionType.check(transactionFunction);
+
+    const outerZone = Zone.current;
+    const transaction = new Transaction(this.currentTransaction);
+    Zone.current = this;
+    this.currentTransaction = transaction;
+
+    var result;
+    try {
+      result = transactionFunction();
+    } catch (error) {
+      transaction.rollback();
+      throw error;
+    } finally {
+      this.currentTransaction = transaction.parent;
+      Zone.current = outerZone;
+    }
+
+    transaction.commit();
+    return result;
   }
 
   /**
@@ -612,7 +1928,7 @@ class Zone {
    */
   internalSuppressObserver(observer) {
     if (this.suppressedObserver != null) {
-      panic("Only one observer can be suppressed at a time");
+      panic(new LifecycleError("Only one observer can be suppressed at a time"));
     }
     this.suppressedObserver = observer;
   }
@@ -622,7 +1938,7 @@ class Zone {
    */
   internalUnsuppressObserver(observer) {
     if (this.suppressedObserver != observer) {
-      panic("Wrong observer in internalUnsuppressObserver");
+      panic(new LifecycleError("Wrong observer in internalUnsuppressObserver"));
     }
     this.suppressedObserver = null;
   }
@@ -639,27 +1955,160 @@ class Zone {
   }
 
   /**
-   * For internal use only: process observer and action queues.
-   * If the observer queue is not empty, it is always processed
-   * before the action queue.
+   * For internal use only: process observer and action queues.
+   * If the observer queue is not empty, it is always processed
+   * before the action queue.
+   *
+   * Errors thrown by observers and actions are passed to error handlers,
+   * and don't prevent processing of the rest of the queues.
+   */
+  processQueues() {
+    const outerZone = Zone.current;
+    Zone.current = this;
+
+    try {
+      while(this.hasQueuedTasks()) {
+        // Process observers first
+        while(this.observerQueue.length > 0) {
+          const entry = this.observerQueue.shift();
+          try {
+            this.invokeHandlingErrors(entry.observer, entry.lifespan);
+          } finally {
+            this.observerSet.delete(entry.observer);
+          }
+        }
+
+        // Then the callbacks that wait for the observers
+        while(this.observerQueue.length == 0 && this.afterObserversQueue.length > 0) {
+          const entry = this.afterObserversQueue.shift();
+          this.invokeHandlingErrors(entry.action, entry.lifespan);
+        }
+
+        // Process actions if done with observers
+        while(this.observerQueue.length == 0 && this.afterObserversQueue.length == 0 &&
+            this.actionQueue.length > 0) {
+          const entry = this.actionQueue.shift();
+          this.invokeHandlingErrors(entry.action, entry.lifespan);
+        }
+      }
+    } finally {
+      Zone.current = outerZone;
+      // If an error handler threw, process the rest of the queues later.
+      this.processingScheduled = false;
+      if (this.hasQueuedTasks()) {
+        this.scheduleProcessing();
+      }
+    }
+  }
+
+  /**
+   * For internal use only: check whether there are observers or actions to process.
+   */
+  hasQueuedTasks() {
+    return this.observerQueue.length > 0 || this.afterObserversQueue.length > 0 ||
+        this.actionQueue.length > 0;
+  }
+
+  /**
+   * For internal use only: invoke the callback, and pass the errors it throws
+   * to the lifespan, or to this zone if the lifespan is not specified.
+   */
+  invokeHandlingErrors(callback, lifespan) {
+    try {
+      callback();
+    } catch (error) {
+      if (lifespan) {
+        lifespan.handleError(error);
+      } else {
+        this.handleError(error);
+      }
+    }
+  }
+}
+
+/**
+ * A Zone for tests, with a virtual clock that advances only when requested.
+ *
+ * Queues are not processed automatically: runUntilIdle() processes pending observers
+ * and actions, and advanceBy() also runs delayed actions that become due, in order.
+ * Use it by creating a Lifespan tree rooted in new ForeverLifespan(testZone).
+ */
+class TestZone extends Zone {
+  /**
+   * Create a TestZone with the virtual clock set to the given time, or zero.
+   */
+  constructor(startTime) {
+    super();
+    this.currentTime = startTime ? startTime : 0;
+    this.timers = new Array();
+  }
+
+  /**
+   * Get the current virtual time in milliseconds.
+   */
+  now() {
+    return this.currentTime;
+  }
+
+  /**
+   * Queues are processed only by runUntilIdle() and advanceBy().
+   */
+  scheduleProcessing() {
+    this.processingScheduled = true;
+  }
+
+  /**
+   * Schedules action for execution when the virtual clock advances
+   * by the specified delay.
+   */
+  scheduleDelayedAction(action, delayMilliseconds, lifespan) {
+    FunctionType.check(action);
+
+    const time = this.currentTime + (delayMilliseconds ? delayMilliseconds : 0);
+    var index = this.timers.length;
+    while (index > 0 && this.timers[index - 1].time > time) {
+      --index;
+    }
+    this.timers.splice(index, 0, { time: time, action: action, lifespan: lifespan });
+  }
+
+  /**
+   * Process all pending observers and actions, without advancing the clock.
+   */
+  runUntilIdle() {
+    this.processQueues();
+  }
+
+  /**
+   * Advance the virtual clock, running delayed actions as they become due.
+   */
+  advanceBy(milliseconds) {
+    const targetTime = this.currentTime + milliseconds;
+
+    this.runUntilIdle();
+    while (this.timers.length > 0 && this.timers[0].time <= targetTime) {
+      const timer = this.timers.shift();
+      this.currentTime = timer.time;
+      this.scheduleAction(timer.action, timer.lifespan);
+      this.runUntilIdle();
+    }
+
+    this.currentTime = targetTime;
+  }
+
+  /**
+   * Get the number of observers and actions waiting to be processed.
    */
-  processQueues() {
-    while(this.observerQueue.length > 0 || this.actionQueue.length > 0) {
-      // Process observers first
-      while(this.observerQueue.length > 0) {
-        const observer = this.observerQueue.shift();
-        observer();
-        this.observerSet.delete(observer);
-      }
-
-      // Process actions if done with observers
-      while(this.observerQueue.length == 0 && this.actionQueue.length > 0) {
-        const action = this.actionQueue.shift();
-        action();
-      }
-    }
+  getPendingTaskCount() {
+    return this.observerQueue.length + this.afterObserversQueue.length +
+        this.actionQueue.length;
+  }
 
-    this.processingScheduled = false;
+  /**
+   * Get the delays of the pending delayed actions relative to the current time, in order.
+   */
+  getPendingTimerDelays() {
+    return this.timers.map((timer) => timer.time - this.currentTime);
   }
 }
 
@@ -670,10 +2119,11 @@ class Zone {
  */
 class ForeverLifespan extends Lifespan {
   /**
-   * Create the singleton ForeverLifespan object.
+   * Create a ForeverLifespan object in the given zone.  The singleton instance
+   * uses a new Zone; tests can create their own instance with a TestZone.
    */
-  constructor() {
-    super(new Zone());
+  constructor(zone) {
+    super(zone ? zone : new Zone());
   }
 
   /**
@@ -686,7 +2136,7 @@ class ForeverLifespan extends Lifespan {
    * Attempt to release all resources associated with this Lifespan--a fatal error.
    */
   finish() {
-    panic("Called ForeverLifespan.finish()");
+    panic(new LifecycleError("Called ForeverLifespan.finish()"));
   }
 
   /**
@@ -711,12 +2161,37 @@ function makeBoxed(initialValue, type) {
   return new Boxed(initialValue, type);
 }
 
+/**
+ * A wrapper around ObservableList constructor.
+ * Create a mutable list that notifies observers when it changes.
+ */
+function makeObservableList(elementsArray, elementType) {
+  return new ObservableList(elementsArray, elementType);
+}
+
+/**
+ * A wrapper around ObservableMap constructor.
+ * Create a mutable map that notifies observers when it changes.
+ */
+function makeObservableMap(entries, keyType, valueType) {
+  return new ObservableMap(entries, keyType, valueType);
+}
+
 /**
  * A wrapper around ComputableReference constructor.
  * Create an instance of Reference that lazily computes its value.
+ * Dependencies are observed with the given lifespan, or the default one.
  */
-function makeComputableReference(computeFunction, type) {
-  return new ComputableReference(computeFunction, type);
+function makeComputableReference(computeFunction, type, lifespan) {
+  return new ComputableReference(computeFunction, type, lifespan);
+}
+
+/**
+ * A wrapper around AsyncReference constructor.
+ * Create an AsyncReference given a function that returns a promise.
+ */
+function makeAsyncComputable(asyncFunction, type, lifespan) {
+  return new AsyncReference(asyncFunction, type, lifespan);
 }
 
 /**
@@ -727,11 +2202,7 @@ function makeComputableReference(computeFunction, type) {
  * in which case the ! operator can be used directly.
  */
 function notOp(expression, lifespan) {
-  const result = makeComputableReference(() => !getValue(expression), BooleanType);
-
-  result.observeAndDependsOn(expression, defaultLifespan(lifespan));
-
-  return result;
+  return makeComputableReference(() => !getValue(expression), BooleanType, lifespan);
 }
 
 /**
@@ -742,14 +2213,8 @@ function notOp(expression, lifespan) {
  * in this case the && operator can be used directly.
  */
 function andOp(first, second, lifespan) {
-  const result = makeComputableReference(() => getValue(first) && getValue(second), BooleanType);
-
-  lifespan = defaultLifespan(lifespan);
-
-  result.observeAndDependsOn(first, lifespan);
-  result.observeAndDependsOn(second, lifespan);
-
-  return result;
+  return makeComputableReference(() => getValue(first) && getValue(second), BooleanType,
+      lifespan);
 }
 
 /**
@@ -760,14 +2225,8 @@ function andOp(first, second, lifespan) {
  * in this case the == operator can be used directly.
  */
 function equalsOp(first, second, lifespan) {
-  const result = makeComputableReference(() => getValue(first) == getValue(second), BooleanType);
-
-  lifespan = defaultLifespan(lifespan);
-
-  result.observeAndDependsOn(first, lifespan);
-  result.observeAndDependsOn(second, lifespan);
-
-  return result;
+  return makeComputableReference(() => getValue(first) == getValue(second), BooleanType,
+      lifespan);
 }
 
 /**
@@ -778,14 +2237,41 @@ function equalsOp(first, second, lifespan) {
  * in this case the != operator can be used directly.
  */
 function notEqualsOp(first, second, lifespan) {
-  const result = makeComputableReference(() => getValue(first) != getValue(second), BooleanType);
+  return makeComputableReference(() => getValue(first) != getValue(second), BooleanType,
+      lifespan);
+}
 
-  lifespan = defaultLifespan(lifespan);
+/**
+ * Compare two values of the same EnumType by their order, see EnumType.compare().
+ * Values that aren't enum values, or belong to different EnumTypes, are a TypeCheckError.
+ */
+function compareEnumValues(first, second) {
+  const type = EnumType.typeOf(first);
+  if (type == null) {
+    panic(new TypeCheckError("Enum value expected", first, null, ""));
+  }
+  return type.compare(first, second);
+}
 
-  result.observeAndDependsOn(first, lifespan);
-  result.observeAndDependsOn(second, lifespan);
+/**
+ * A reactive ordering operator for enum values.
+ * Given two enum values or References to them, returns a Reference with a boolean value
+ * that is true iff the first value doesn't come before the second one,
+ * such as atLeastOp(priority, Priority.NORMAL).
+ */
+function atLeastOp(first, second, lifespan) {
+  return makeComputableReference(() => compareEnumValues(getValue(first), getValue(second)) >= 0,
+      BooleanType, lifespan);
+}
 
-  return result;
+/**
+ * A reactive ordering operator for enum values.
+ * Given two enum values or References to them, returns a Reference with a boolean value
+ * that is true iff the first value doesn't come after the second one.
+ */
+function atMostOp(first, second, lifespan) {
+  return makeComputableReference(() => compareEnumValues(getValue(first), getValue(second)) <= 0,
+      BooleanType, lifespan);
 }
 
 /**
@@ -795,45 +2281,41 @@ function notEqualsOp(first, second, lifespan) {
  * should be a Reference, otherwise the evaluation is trivival.)
  * The return value of the function is a Reference that evaluates to
  * the result of then expression or else expression, based on the result
- * of condition expression.
+ * of condition expression.  The dependency observers are registered with the optional
+ * lifespan; the optional name is used for debugging.
  */
 function conditional(condExpression, thenExpression, elseExpression, lifespan, name) {
-  lifespan = defaultLifespan(lifespan);
-  var subSpan = null;
-
+  // Only the branch that is selected is read, and therefore observed.
   const result = makeComputableReference(function() {
-    if (subSpan != null) {
-      subSpan.finish();
-    }
-    subSpan = lifespan.makeSubSpan();
-
-    const condValue = getValue(condExpression);
-    var resultValue;
-
-    if (condValue) {
-      resultValue = getValue(thenExpression);
-      observe(thenExpression, subSpan, result.recompute);
+    if (getValue(condExpression)) {
+      return getValue(thenExpression);
     } else {
-      resultValue = getValue(elseExpression);
-      observe(elseExpression, subSpan, result.recompute);
+      return getValue(elseExpression);
     }
-
-    return resultValue;
-  }, ObjectType);
+  }, ObjectType, lifespan);
 
   if (name) {
     result.setName(name);
   }
 
-  result.observeAndDependsOn(condExpression, lifespan);
-  result.dependsOn(thenExpression, lifespan);
-  result.dependsOn(elseExpression, lifespan);
-
   return result;
 }
 
 /**
- * A reactive String join.  Takes References or values as arguments.
+ * Remove the trailing Lifespan from the array of arguments of a variadic operator,
+ * and return it; returns null if the last argument is not a Lifespan.
+ */
+function popLifespanArgument(argumentList) {
+  if (argumentList.length > 0 && argumentList[argumentList.length - 1] instanceof Lifespan) {
+    return argumentList.pop();
+  } else {
+    return null;
+  }
+}
+
+/**
+ * A reactive String join.  Takes References or values as arguments,
+ * optionally followed by a Lifespan.
  *
  * Converts all argument values to Strings using toString(), concatenates them,
  * and returns a Reference to the result.  If an argument References change state,
@@ -841,6 +2323,7 @@ function conditional(condExpression, thenExpression, elseExpression, lifespan, n
  */
 function stringJoin() {
   const joinList = [...arguments];
+  const lifespan = popLifespanArgument(joinList);
 
   function doJoin() {
     var s = "";
@@ -850,12 +2333,571 @@ function stringJoin() {
     return s;
   }
 
-  const result = makeComputableReference(doJoin, StringType);
+  return makeComputableReference(doJoin, StringType, lifespan);
+}
+
+/**
+ * Get the locale of the environment: the language of the browser,
+ * or the default locale of the JavaScript runtime.
+ */
+function getEnvironmentLocale() {
+  if (typeof navigator == "object" && navigator.language) {
+    return navigator.language;
+  } else if (typeof Intl == "object" && Intl.NumberFormat) {
+    return new Intl.NumberFormat().resolvedOptions().locale;
+  } else {
+    return "en-US";
+  }
+}
+
+/**
+ * Parser for formatOp() templates, a subset of the ICU message format.
+ * The result is an array of parts: strings, arguments and plural "#" markers.
+ */
+class MessageTemplateParser {
+  constructor(template) {
+    this.template = template;
+    this.position = 0;
+  }
+
+  parse() {
+    const result = this.parseMessage(false);
+    if (this.position < this.template.length) {
+      this.fail("Unexpected '}'");
+    }
+    return result;
+  }
+
+  parseMessage(isPlural) {
+    const parts = [];
+    var text = "";
+
+    while (this.position < this.template.length) {
+      const c = this.template[this.position];
+      if (c == "}") {
+        break;
+      } else if (c == "{") {
+        if (text.length > 0) {
+          parts.push(text);
+          text = "";
+        }
+        parts.push(this.parseArgument());
+      } else if (c == "#" && isPlural) {
+        if (text.length > 0) {
+          parts.push(text);
+          text = "";
+        }
+        parts.push({ kind: "pound" });
+        this.position += 1;
+      } else {
+        text += c;
+        this.position += 1;
+      }
+    }
+
+    if (text.length > 0) {
+      parts.push(text);
+    }
+    return parts;
+  }
+
+  parseArgument() {
+    this.expect("{");
+    const argument = { kind: "argument", name: this.readUntil(",}"), format: null };
+    if (argument.name.length == 0) {
+      this.fail("Argument name expected");
+    }
+
+    if (this.peek() == ",") {
+      this.position += 1;
+      argument.format = this.readUntil(",}");
+
+      if (argument.format == "plural" || argument.format == "select") {
+        this.expect(",");
+        argument.cases = this.parseCases(argument.format == "plural");
+      } else if (this.peek() == ",") {
+        this.position += 1;
+        argument.style = this.readUntil("}");
+      }
+    }
+
+    this.expect("}");
+    return argument;
+  }
+
+  parseCases(isPlural) {
+    const cases = {};
+    while (true) {
+      const selector = this.readUntil("{}");
+      if (selector.length == 0) {
+        break;
+      }
+      this.expect("{");
+      cases[selector] = this.parseMessage(isPlural);
+      this.expect("}");
+    }
+
+    if (!cases.other) {
+      this.fail("The 'other' case is required");
+    }
+    return cases;
+  }
+
+  readUntil(stopCharacters) {
+    const start = this.position;
+    while (this.position < this.template.length &&
+        !stopCharacters.includes(this.template[this.position])) {
+      this.position += 1;
+    }
+    return this.template.substring(start, this.position).trim();
+  }
+
+  peek() {
+    return this.template[this.position];
+  }
+
+  expect(c) {
+    if (this.peek() != c) {
+      this.fail("Expected '" + c + "'");
+    }
+    this.position += 1;
+  }
+
+  fail(message) {
+    panic(new ParseError(message + " at position " + this.position + " in template: " +
+        this.template, { template: this.template, position: this.position }));
+  }
+}
+
+/**
+ * Format a number for formatOp() in the given locale.  Styles are "integer" and "percent".
+ */
+function formatNumber(value, style, locale) {
+  const options = {};
+  if (style == "integer") {
+    options.maximumFractionDigits = 0;
+  } else if (style == "percent") {
+    options.style = "percent";
+  }
+  return Number(value).toLocaleString(locale, options);
+}
+
+/**
+ * Intl.PluralRules instances by locale, since creating them is expensive.
+ */
+const pluralRulesByLocale = new Map();
+
+/**
+ * Get the plural category ("one", "other", etc.) of a number in the given locale.
+ */
+function pluralCategory(value, locale) {
+  if (typeof Intl != "object" || !Intl.PluralRules) {
+    return value == 1 ? "one" : "other";
+  }
+
+  var pluralRules = pluralRulesByLocale.get(locale);
+  if (!pluralRules) {
+    pluralRules = new Intl.PluralRules(locale);
+    pluralRulesByLocale.set(locale, pluralRules);
+  }
+  return pluralRules.select(value);
+}
 
-  const lifespan = defaultLifespan(null);  // TODO: handle lifespan
-  for (let i = 0; i < joinList.length; ++i) {
-    result.observeAndDependsOn(joinList[i], lifespan);
+/**
+ * Render the parts of a parsed template in the given locale, given a function
+ * that looks up argument values.
+ */
+function formatMessageParts(parts, lookup, locale, pluralValue) {
+  var result = "";
+
+  for (const part of parts) {
+    if (typeof part == "string") {
+      result += part;
+    } else if (part.kind == "pound") {
+      result += formatNumber(pluralValue, null, locale);
+    } else {
+      const value = lookup(part.name);
+      if (part.format == "plural") {
+        const number = Number(value);
+        const selected = part.cases["=" + number] || part.cases[pluralCategory(number, locale)] ||
+            part.cases.other;
+        result += formatMessageParts(selected, lookup, locale, number);
+      } else if (part.format == "select") {
+        const selected = part.cases[String(value)] || part.cases.other;
+        result += formatMessageParts(selected, lookup, locale, pluralValue);
+      } else if (part.format == "number") {
+        result += formatNumber(value, part.style, locale);
+      } else {
+        result += value == null ? "" : value.toString();
+      }
+    }
   }
 
   return result;
 }
+
+/**
+ * The Boxed locale used by formatOp() to format numbers and select plural forms.
+ * It defaults to the locale of the environment; formatted strings are updated
+ * when it changes.  Access it with getFormatLocale().
+ */
+var formatLocale = null;
+
+/**
+ * Get the Boxed format locale.  It's created on first use, since StringType
+ * is defined in reflection.js, which is loaded after this file.
+ */
+function getFormatLocale() {
+  if (formatLocale == null) {
+    formatLocale = makeBoxed(getEnvironmentLocale(), StringType);
+  }
+  return formatLocale;
+}
+
+/**
+ * A reactive string formatting operator.  Takes a template, followed by References
+ * or values, optionally followed by a Lifespan.  Returns a Reference to the result.
+ *
+ * The template supports a subset of the ICU message format:
+ *   {0}, {1} - positional arguments;
+ *   {name} - named arguments, which are properties of the object passed as the first argument;
+ *   {0, number}, {0, number, integer}, {0, number, percent} - number formatting;
+ *   {0, plural, =0 {none} one {# item} other {# items}} - pluralization, where # is the number;
+ *   {0, select, a {...} other {...}} - selection by value.
+ * Numbers and plurals are formatted in the format locale, see getFormatLocale().
+ * The template can be a Reference, too; it's parsed again when it changes.
+ */
+function formatOp(template) {
+  const formatArguments = [...arguments].slice(1);
+  const lifespan = popLifespanArgument(formatArguments);
+  var parsedTemplate = null;
+  var parts = null;
+
+  function parseTemplate(templateValue) {
+    if (parts == null || templateValue !== parsedTemplate) {
+      parts = new MessageTemplateParser(templateValue).parse();
+      parsedTemplate = templateValue;
+    }
+    return parts;
+  }
+
+  if (!(template instanceof Reference)) {
+    // Report syntax errors in constant templates right away.
+    parseTemplate(template);
+  }
+
+  function lookup(name) {
+    if (/^[0-9]+$/.test(name)) {
+      return getValue(formatArguments[Number(name)]);
+    }
+
+    const namedArguments = getValue(formatArguments[0]);
+    if (namedArguments == null || typeof namedArguments != "object") {
+      panic(new ArgumentError("No named arguments for {" + name + "}", { name: name }));
+    }
+    return getValue(namedArguments[name]);
+  }
+
+  return makeComputableReference(() => formatMessageParts(parseTemplate(getValue(template)),
+      lookup, getValue(getFormatLocale())), StringType, lifespan);
+}
+
+/**
+ * Shared implementation of the time-based operators.  Observes the source,
+ * and calls onChange(value, emit) with the new value when the source changes.
+ * The operator calls emit(value) to update the result, possibly in a delayed action;
+ * updates are ignored once the lifespan is finished.
+ */
+function makeTimedOp(source, lifespan, onChange) {
+  const type = source instanceof Reference ? source.type : ObjectType;
+  const output = makeBoxed(getValue(source), type);
+  var isAlive = true;
+  lifespan.onFinish(() => { isAlive = false; });
+
+  function emit(value) {
+    if (isAlive) {
+      setValue(output, value);
+    }
+  }
+
+  // Reading the source value in the observer makes sure a ComputableReference source
+  // is recomputed, and notifies us about the next change.
+  observe(source, lifespan, () => onChange(getValue(source), emit));
+  return makeComputableReference(() => getValue(output), type, lifespan);
+}
+
+/**
+ * A reactive debounce.  Returns a Reference that gets the value of the source
+ * after the source didn't change for the given number of milliseconds.
+ */
+function debounceOp(source, delayMilliseconds, lifespan) {
+  lifespan = defaultLifespan(lifespan);
+  var generation = 0;
+
+  return makeTimedOp(source, lifespan, function(value, emit) {
+    const currentGeneration = ++generation;
+    lifespan.zone.scheduleDelayedAction(function() {
+      if (currentGeneration == generation) {
+        emit(value);
+      }
+    }, delayMilliseconds, lifespan);
+  });
+}
+
+/**
+ * A reactive throttle.  Returns a Reference that follows the value of the source,
+ * but is updated at most once per the given number of milliseconds.
+ * The latest value of the source is always delivered eventually.
+ */
+function throttleOp(source, intervalMilliseconds, lifespan) {
+  lifespan = defaultLifespan(lifespan);
+  const zone = lifespan.zone;
+  var lastEmitTime = null;
+  var pendingValue = null;
+  var isScheduled = false;
+
+  return makeTimedOp(source, lifespan, function(value, emit) {
+    pendingValue = value;
+    if (isScheduled) {
+      return;
+    }
+
+    const wait = lastEmitTime == null ? 0 : lastEmitTime + intervalMilliseconds - zone.now();
+    if (wait <= 0) {
+      lastEmitTime = zone.now();
+      emit(value);
+    } else {
+      isScheduled = true;
+      zone.scheduleDelayedAction(function() {
+        isScheduled = false;
+        lastEmitTime = zone.now();
+        emit(pendingValue);
+      }, wait, lifespan);
+    }
+  });
+}
+
+/**
+ * A reactive delay.  Returns a Reference that gets each value of the source
+ * after the given number of milliseconds.
+ */
+function delayOp(source, delayMilliseconds, lifespan) {
+  lifespan = defaultLifespan(lifespan);
+
+  return makeTimedOp(source, lifespan, function(value, emit) {
+    lifespan.zone.scheduleDelayedAction(() => emit(value), delayMilliseconds, lifespan);
+  });
+}
+
+/**
+ * A Reference to the current time in milliseconds (as returned by Zone.now()),
+ * updated every intervalMilliseconds while the lifespan is not finished.
+ */
+function clockReference(intervalMilliseconds, lifespan) {
+  lifespan = defaultLifespan(lifespan);
+  const zone = lifespan.zone;
+  const time = makeBoxed(zone.now(), IntegerType);
+  var isAlive = true;
+  lifespan.onFinish(() => { isAlive = false; });
+
+  function tick() {
+    if (isAlive) {
+      setValue(time, zone.now());
+      zone.scheduleDelayedAction(tick, intervalMilliseconds, lifespan);
+    }
+  }
+
+  zone.scheduleDelayedAction(tick, intervalMilliseconds, lifespan);
+  return makeComputableReference(() => getValue(time), IntegerType, lifespan);
+}
+
+/**
+ * A reactive list map.  Returns a Reference to a List with mapFunction applied
+ * to each element of the given list.  The result elements have the given type,
+ * or ObjectType if it's not specified.
+ *
+ * If the list is an ObservableList and mapFunction is not a Reference, the result
+ * is a DerivedList that is updated incrementally when the source list changes.
+ * Otherwise, the list argument can be a List or a Reference to a List, and the result
+ * is recomputed when it changes.
+ */
+function mapList(list, mapFunction, elementType, lifespan) {
+  elementType = elementType ? elementType : ObjectType;
+  lifespan = defaultLifespan(lifespan);
+
+  if (list instanceof ObservableList && !(mapFunction instanceof Reference)) {
+    const result = new DerivedList(list.elements.map(mapFunction), elementType, list,
+        function(changes) {
+          for (const change of changes) {
+            result.splice(change.index, change.removed.length, change.added.map(mapFunction));
+          }
+        }, lifespan);
+    return makeConstantReference(result, ListType);
+  }
+
+  return makeComputableReference(function() {
+    const listValue = getValue(list);
+    if (listValue == null) {
+      return null;
+    }
+    const mapFunctionValue = getValue(mapFunction);
+    return new List(listValue.iterate().map((element) => mapFunctionValue(element)),
+        elementType);
+  }, ListOrNullType, lifespan);
+}
+
+/**
+ * A reactive list filter.  Returns a Reference to a List with the elements of
+ * the given list for which the predicate returns true.
+ *
+ * Incremental updates are handled the same way as in mapList().
+ */
+function filterList(list, predicate, lifespan) {
+  lifespan = defaultLifespan(lifespan);
+
+  if (list instanceof ObservableList && !(predicate instanceof Reference)) {
+    const included = list.elements.map((element) => Boolean(predicate(element)));
+    const result = new DerivedList(list.elements.filter((element, i) => included[i]),
+        list.elementType, list, function(changes) {
+          for (const change of changes) {
+            const resultIndex = countTrue(included.slice(0, change.index));
+            const addedIncluded = change.added.map((element) => Boolean(predicate(element)));
+            const removedIncluded =
+                included.splice(change.index, change.removed.length, ...addedIncluded);
+            result.splice(resultIndex, countTrue(removedIncluded),
+                change.added.filter((element, i) => addedIncluded[i]));
+          }
+        }, lifespan);
+    return makeConstantReference(result, ListType);
+  }
+
+  return makeComputableReference(function() {
+    const listValue = getValue(list);
+    if (listValue == null) {
+      return null;
+    }
+    const predicateValue = getValue(predicate);
+    return new List(listValue.iterate().filter((element) => predicateValue(element)),
+        listValue.elementType);
+  }, ListOrNullType, lifespan);
+}
+
+/**
+ * Count the true values in an array of booleans.
+ */
+function countTrue(booleans) {
+  return booleans.filter((value) => value).length;
+}
+
+/**
+ * Compare two values using < and > operators.  Used as the default comparison function
+ * in sortList().
+ */
+function compareNatural(first, second) {
+  if (first < second) {
+    return -1;
+  } else if (first > second) {
+    return 1;
+  } else {
+    return 0;
+  }
+}
+
+/**
+ * Find the index of the given element in an array sorted by compareFunction,
+ * or -1 if it's not there.  Elements are matched with Object.is(), so that NaN is found, too.
+ */
+function findSortedIndex(elements, element, compareFunction) {
+  // Binary search for the first element that doesn't come before the given one.
+  var low = 0;
+  var high = elements.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (compareFunction(elements[middle], element) < 0) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  for (var index = low; index < elements.length &&
+      compareFunction(elements[index], element) == 0; ++index) {
+    if (Object.is(elements[index], element)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * A reactive list sort.  Returns a Reference to a List with the elements of
+ * the given list ordered by compareFunction, which has the same contract as in Array.sort().
+ * If compareFunction is not specified, compareNatural() is used.
+ *
+ * Incremental updates are handled the same way as in mapList().
+ */
+function sortList(list, compareFunction, lifespan) {
+  compareFunction = compareFunction ? compareFunction : compareNatural;
+  lifespan = defaultLifespan(lifespan);
+
+  if (list instanceof ObservableList && !(compareFunction instanceof Reference)) {
+    const result = new DerivedList([...list.elements].sort(compareFunction),
+        list.elementType, list, function(changes) {
+          for (const change of changes) {
+            for (const element of change.removed) {
+              const index = findSortedIndex(result.elements, element, compareFunction);
+              if (index < 0) {
+                // The comparison isn't consistent for this element (such as NaN),
+                // so the source is sorted again; it already has all the changes.
+                result.splice(0, result.elements.length,
+                    [...list.elements].sort(compareFunction));
+                return;
+              }
+              result.remove(index);
+            }
+            for (const element of change.added) {
+              // Insert after the equal elements to keep the sort stable.
+              var index = 0;
+              while (index < result.elements.length &&
+                  compareFunction(result.elements[index], element) <= 0) {
+                ++index;
+              }
+              result.insert(index, element);
+            }
+          }
+        }, lifespan);
+    return makeConstantReference(result, ListType);
+  }
+
+  return makeComputableReference(function() {
+    const listValue = getValue(list);
+    if (listValue == null) {
+      return null;
+    }
+    const compareFunctionValue = getValue(compareFunction);
+    return new List([...listValue.iterate()].sort(compareFunctionValue),
+        listValue.elementType);
+  }, ListOrNullType, lifespan);
+}
+
+/**
+ * A reactive list reduce.  Returns a Reference to the result of applying reduceFunction
+ * to the elements of the given list, same as Array.reduce() with initialValue.
+ * The result has the given type, or ObjectType if it's not specified.
+ *
+ * The result is recomputed when the list, or any of the arguments, change.
+ * Unlike the other list combinators, reduceList() isn't incremental: the reduce function
+ * can't be undone for the removed elements, so any change reduces the whole list again.
+ * If the list is null, the result is the initial value.
+ */
+function reduceList(list, reduceFunction, initialValue, type, lifespan) {
+  type = type ? type : ObjectType;
+
+  return makeComputableReference(function() {
+    const listValue = getValue(list);
+    if (listValue == null) {
+      return getValue(initialValue);
+    }
+    return listValue.iterate().reduce(getValue(reduceFunction), getValue(initialValue));
+  }, type, lifespan);
+}
@@ -0,0 +1,210 @@
+/**
+ * Copyright 2024-2025 Dynin Labs, Inc. All rights reserved.
+ * Use of this source code is governed by a BSD-style
+ * license that can be found in the LICENSE file or at
+ * https://dynin.com/berkeley-license/
+ */
+
+const DEFAULT_HISTORY_SIZE = 100;
+
+/**
+ * A group of Boxed value changes that are undone and redone together.
+ */
+class HistoryGroup {
+  constructor() {
+    // Map from a Boxed instance to {oldValue, newValue}.
+    this.changes = new Map();
+  }
+
+  /**
+   * Record a change; if the Boxed instance changed before, keep the oldest old value.
+   */
+  recordChange(boxed, oldValue, newValue) {
+    const change = this.changes.get(boxed);
+    if (change) {
+      change.newValue = newValue;
+    } else {
+      this.changes.set(boxed, { oldValue: oldValue, newValue: newValue });
+    }
+  }
+
+  isEmpty() {
+    return this.changes.size == 0;
+  }
+}
+
+/**
+ * An opt-in tracker of Boxed value changes that supports undo and redo.
+ *
+ * Changes are observed, so all changes made in one Zone action or one transaction
+ * end up in the same group, and are undone together.  The group is closed when
+ * the observers triggered by the action are processed, before the next action runs.
+ * Undo and redo run in a transaction, and their own changes are not recorded as new history.
+ *
+ * canUndo and canRedo are Boxed booleans that can be used to enable UI elements.
+ */
+class UndoHistory {
+  /**
+   * Create an UndoHistory that keeps up to maxSize groups of changes.
+   * The observers are registered with the given lifespan.
+   */
+  constructor(lifespan, maxSize) {
+    this.lifespan = defaultLifespan(lifespan);
+    this.maxSize = maxSize ? maxSize : DEFAULT_HISTORY_SIZE;
+    this.lastValues = new Map();
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pendingGroup = null;
+    this.canUndo = makeBoxed(false, BooleanType);
+    this.canRedo = makeBoxed(false, BooleanType);
+  }
+
+  /**
+   * Start recording changes of a Boxed instance.
+   */
+  track(boxed) {
+    if (!(boxed instanceof Boxed)) {
+      panic(new TypeCheckError("UndoHistory can only track Boxed instances", boxed, null));
+    }
+
+    if (this.lastValues.has(boxed)) {
+      return;
+    }
+
+    this.lastValues.set(boxed, boxed.value);
+    boxed.observe(this.lifespan, () => this.valueChanged(boxed));
+  }
+
+  /**
+   * Track all the serializable Boxed fields of a datastore, and add undo/redo methods and
+   * canUndo/canRedo fields to its namespace.  Since the datastore fields are synchronized,
+   * undo and redo are synchronized as well.  Changes pulled from the server are not recorded.
+   */
+  trackDatastore(datastore) {
+    for (const field of datastore.fieldNames) {
+      if (datastore[field] instanceof Boxed) {
+        this.track(datastore[field]);
+      }
+    }
+
+    datastore.observeLoads(this.lifespan, () => this.acceptCurrentValues());
+
+    datastore.canUndo = this.canUndo;
+    datastore.addMember(new Field(datastore, "canUndo", this.canUndo)
+        .setDoc("True if there is a change to undo."));
+    datastore.canRedo = this.canRedo;
+    datastore.addMember(new Field(datastore, "canRedo", this.canRedo)
+        .setDoc("True if there is an undone change to redo."));
+    datastore.addMember(new Method(datastore, "undo", NullType,
+        makeConstantReference(() => this.undo(), FunctionType))
+        .setDoc("Reverts the last group of changes."));
+    datastore.addMember(new Method(datastore, "redo", NullType,
+        makeConstantReference(() => this.redo(), FunctionType))
+        .setDoc("Applies the last undone group of changes again."));
+  }
+
+  /**
+   * Treat the current values of the tracked instances as the baseline,
+   * so that the changes made so far are not recorded.
+   */
+  acceptCurrentValues() {
+    for (const boxed of this.lastValues.keys()) {
+      this.lastValues.set(boxed, boxed.value);
+    }
+  }
+
+  /**
+   * Observer callback: record the change in the pending group.
+   * The group is closed after the current batch of observers is processed.
+   */
+  valueChanged(boxed) {
+    const oldValue = this.lastValues.get(boxed);
+    const newValue = boxed.value;
+    if (oldValue == newValue) {
+      // Changed by undo or redo, or changed and then restored.
+      return;
+    }
+    this.lastValues.set(boxed, newValue);
+
+    if (this.pendingGroup == null) {
+      this.pendingGroup = new HistoryGroup();
+      this.lifespan.zone.scheduleAfterObservers(() => this.closeGroup(), this.lifespan);
+    }
+    this.pendingGroup.recordChange(boxed, oldValue, newValue);
+  }
+
+  /**
+   * Move the pending group to the undo stack.  Recording new changes discards
+   * the changes that were undone.
+   */
+  closeGroup() {
+    if (this.pendingGroup == null) {
+      return;
+    }
+
+    const group = this.pendingGroup;
+    this.pendingGroup = null;
+
+    if (!group.isEmpty()) {
+      this.undoStack.push(group);
+      if (this.undoStack.length > this.maxSize) {
+        this.undoStack.shift();
+      }
+      this.redoStack = [];
+      this.updateStatus();
+    }
+  }
+
+  /**
+   * Revert the most recent group of changes.
+   */
+  undo() {
+    this.closeGroup();
+    const group = this.undoStack.pop();
+    if (group) {
+      this.apply(group, true);
+      this.redoStack.push(group);
+      this.updateStatus();
+    }
+  }
+
+  /**
+   * Reapply the most recently undone group of changes.
+   */
+  redo() {
+    this.closeGroup();
+    const group = this.redoStack.pop();
+    if (group) {
+      this.apply(group, false);
+      this.undoStack.push(group);
+      this.updateStatus();
+    }
+  }
+
+  /**
+   * Set the old or new values of a group in a transaction.  Internal use only.
+   */
+  apply(group, useOldValues) {
+    runInTransaction(() => {
+      for (const [boxed, change] of group.changes) {
+        const value = useOldValues ? change.oldValue : change.newValue;
+        this.lastValues.set(boxed, value);
+        boxed.setValue(value);
+      }
+    }, this.lifespan);
+  }
+
+  updateStatus() {
+    setValue(this.canUndo, this.undoStack.length > 0);
+    setValue(this.canRedo, this.redoStack.length > 0);
+  }
+}
+
+/**
+ * Create an UndoHistory that tracks all the serializable fields of a datastore.
+ */
+function trackDatastoreHistory(datastore, lifespan) {
+  const history = new UndoHistory(lifespan);
+  history.trackDatastore(datastore);
+  return history;
+}
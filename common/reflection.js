@@ -5,45 +5,182 @@
  * https://dynin.com/berkeley-license/
  */
 
-class Namespace {
-  constructor(name) {
-    this.name = name;
+/**
+ * A registry of namespaces by their qualified names.  The global registry contains
+ * the namespaces of the application; a scoped registry created with makeScope() sees
+ * the namespaces of its parent, and can be discarded together with the namespaces
+ * registered in it--for example, at the end of a test.
+ */
+class NamespaceRegistry {
+  constructor(parent) {
+    this.parent = parent ? parent : null;
+    this.namespacesByName = new Map();
+  }
+
+  add(namespace) {
+    const qualifiedName = namespace.qualifiedName;
+    if (this.namespacesByName.has(qualifiedName)) {
+      panic(new ReflectionError("Duplicate namespace for " + qualifiedName,
+          { name: qualifiedName }));
+    }
+
+    this.namespacesByName.set(qualifiedName, namespace);
+  }
+
+  remove(namespace) {
+    if (this.namespacesByName.get(namespace.qualifiedName) == namespace) {
+      this.namespacesByName.delete(namespace.qualifiedName);
+    }
+  }
+
+  /**
+   * Find a namespace by its qualified name, such as "mail.labels".
+   * Returns null if there is no such namespace in this registry or its parents.
+   */
+  lookup(qualifiedName) {
+    const namespace = this.namespacesByName.get(qualifiedName);
+    if (namespace) {
+      return namespace;
+    }
+    return this.parent != null ? this.parent.lookup(qualifiedName) : null;
+  }
+
+  /**
+   * Get all the namespaces visible in this registry, including the ones in the parents
+   * that are not shadowed.
+   */
+  getNamespaces() {
+    const result = new Map(this.parent != null ?
+        this.parent.getNamespaces().map((namespace) => [namespace.qualifiedName, namespace]) :
+        []);
+    for (const [qualifiedName, namespace] of this.namespacesByName) {
+      result.set(qualifiedName, namespace);
+    }
+    return [...result.values()];
+  }
+
+  /**
+   * Create a registry that inherits the namespaces of this one.
+   */
+  makeScope() {
+    return new NamespaceRegistry(this);
+  }
+
+  /**
+   * Run a function with this registry as Namespace.registry, so that namespaces
+   * created by the function are added to this registry.
+   */
+  use(scopeFunction) {
+    const outerRegistry = Namespace.registry;
+    Namespace.registry = this;
+    try {
+      return scopeFunction();
+    } finally {
+      Namespace.registry = outerRegistry;
+    }
+  }
+}
 
-    if (Namespace.namespacesByName.has(name)) {
-      panic("Duplicate namespace for " + name);
+/**
+ * A named collection of members.  Namespaces can be nested: a namespace created with
+ * a parent has a dotted qualified name, such as "mail.labels".
+ * Namespaces are added to the current registry, Namespace.registry.
+ */
+class Namespace {
+  constructor(name, parent) {
+    if (name.includes(".")) {
+      panic(new ReflectionError("Namespace name can't contain dots: " + name, { name: name }));
     }
 
-    Namespace.namespacesByName.set(name, this);
+    this.name = name;
+    this.parent = parent ? parent : null;
+    this.qualifiedName = this.parent != null ? this.parent.qualifiedName + "." + name : name;
     this.membersByName = new Map();
+    this.aliasesByName = new Map();
+    this.subNamespacesByName = new Map();
+    this.registry = Namespace.registry;
+
+    this.registry.add(this);
+    if (this.parent != null) {
+      this.parent.subNamespacesByName.set(name, this);
+    }
   }
 
   addMember(member) {
     if (!(member instanceof Member)) {
-      panic("Member expected");
+      panic(new ReflectionError("Member expected", { member: member }));
     }
 
-    if (this.membersByName.has(member.name)) {
-      panic("Member already exists for " + member.name);
+    if (this.membersByName.has(member.name) || this.aliasesByName.has(member.name)) {
+      panic(new ReflectionError("Member already exists for " + member.name,
+          { namespace: this, member: member }));
     }
 
     this.membersByName.set(member.name, member);
   }
 
+  /**
+   * Make a member available under another name, such as the name it had before it was
+   * renamed.  Aliases are found by getMember(), but aren't listed as members.
+   */
+  addAlias(name, member) {
+    if (!(member instanceof Member)) {
+      panic(new ReflectionError("Member expected", { member: member }));
+    }
+
+    if (this.membersByName.has(name) || this.aliasesByName.has(name)) {
+      panic(new ReflectionError("Member already exists for " + name,
+          { namespace: this, member: member }));
+    }
+
+    this.aliasesByName.set(name, member);
+  }
+
   getMember(memberName) {
-    return this.membersByName.get(memberName);
+    const member = this.membersByName.get(memberName);
+    return member ? member : this.aliasesByName.get(memberName);
+  }
+
+  getSubNamespace(name) {
+    return this.subNamespacesByName.get(name);
+  }
+
+  /**
+   * Remove this namespace and its sub-namespaces from the registry.
+   */
+  unregister() {
+    for (const subNamespace of [...this.subNamespacesByName.values()]) {
+      subNamespace.unregister();
+    }
+
+    this.registry.remove(this);
+    if (this.parent != null) {
+      this.parent.subNamespacesByName.delete(this.name);
+    }
   }
 
   toString() {
-    return this.name;
+    return this.qualifiedName;
   }
 
-  static namespacesByName = new Map();
+  static globalRegistry = new NamespaceRegistry(null);
+
+  static registry = Namespace.globalRegistry;
 }
 
 class Member {
   constructor(namespace, name) {
     this.namespace = namespace;
     this.name = name;
+    this.doc = null;
+  }
+
+  /**
+   * Set the documentation string that describes this member; returns the member.
+   */
+  setDoc(doc) {
+    this.doc = doc ? doc : null;
+    return this;
   }
 
   toString() {
@@ -51,18 +188,165 @@ class Member {
   }
 }
 
+/**
+ * Equality functions that can be associated with a Type.  They are used by Boxed and
+ * ComputableReference to decide whether a new value should trigger observers.
+ */
+function identityEquals(first, second) {
+  return Object.is(first, second);
+}
+
+function strictEquals(first, second) {
+  return first === second;
+}
+
+/**
+ * Structural equality: Lists, arrays and plain objects are equal if their elements are.
+ * ObservableLists and ObservableMaps are mutable, so they are compared by identity.
+ */
+function deepEquals(first, second) {
+  if (first === second) {
+    return true;
+  }
+
+  if (first == null || second == null || typeof first != "object" ||
+      typeof second != "object" || first.constructor !== second.constructor) {
+    return false;
+  }
+
+  if (first instanceof ObservableList || first instanceof ObservableMap) {
+    return false;
+  }
+
+  if (first instanceof List) {
+    return first.elementType == second.elementType &&
+        deepEquals(first.elements, second.elements);
+  }
+
+  if (first instanceof Map) {
+    return first.size == second.size && [...first].every(
+        ([key, value]) => second.has(key) && deepEquals(value, second.get(key)));
+  }
+
+  if (Array.isArray(first)) {
+    return first.length == second.length &&
+        first.every((element, index) => deepEquals(element, second[index]));
+  }
+
+  const keys = Object.keys(first);
+  return keys.length == Object.keys(second).length &&
+      keys.every((key) => Object.hasOwn(second, key) && deepEquals(first[key], second[key]));
+}
+
+/**
+ * The result of Type.validate(): either ValidationResult.VALID, or a description
+ * of the first value that failed validation, with the path to it from the validated value
+ * (such as "threadsList[3].snippet"), the expected type and the actual value.
+ */
+class ValidationResult {
+  constructor(isValid, path, expectedType, actualValue, message) {
+    this.isValid = isValid;
+    this.path = path;
+    this.expectedType = expectedType;
+    this.actualValue = actualValue;
+    this.message = message;
+  }
+
+  static VALID = new ValidationResult(true, null, null, undefined, "Valid");
+
+  static invalid(path, expectedType, actualValue, message) {
+    if (!message) {
+      message = "expected " + expectedType.name + ", got " + describeValue(actualValue);
+    }
+    return new ValidationResult(false, path, expectedType, actualValue,
+        "Type check failed" + (path ? " at " + path : "") + ": " + message);
+  }
+}
+
+/**
+ * Describe a value for validation messages.  Works with null and undefined.
+ */
+function describeValue(value) {
+  if (value == null) {
+    return String(value);
+  } else if (typeof value == "string") {
+    return JSON.stringify(value);
+  } else if (typeof value == "object") {
+    return value.constructor ? value.constructor.name : "object";
+  } else {
+    return String(value) + " (" + typeof value + ")";
+  }
+}
+
+/**
+ * Append a field name to a validation path.
+ */
+function appendPath(path, name) {
+  return path ? path + "." + name : name;
+}
+
 class Type extends Member {
-  constructor(namespace, name, isInstanceFunction) {
+  /**
+   * Create a Type given a function that checks membership, and an optional
+   * equality function; strictEquals is used by default.
+   */
+  constructor(namespace, name, isInstanceFunction, equalsFunction) {
     super(namespace, name);
     this.isInstance = isInstanceFunction;
+    this.equalsFunction = equalsFunction ? equalsFunction : strictEquals;
+  }
+
+  /**
+   * Check whether two values of this type are equal.
+   */
+  equals(first, second) {
+    return this.equalsFunction(first, second);
+  }
+
+  /**
+   * Validate the value without panicking.  The path describes the location of the value,
+   * and is used in the result.  Returns a ValidationResult.
+   */
+  validate(value, path) {
+    return this.isInstance(value) ?
+        ValidationResult.VALID : ValidationResult.invalid(path, this, value);
+  }
+
+  /**
+   * Validate a JSON-compatible object that should be converted with fromJson().
+   */
+  validateJson(json, path) {
+    return this.validate(json, path);
   }
 
   check(value) {
-    if (!this.isInstance(value)) {
-      panic("Type check failed: '" + value + "' (" + value.constructor.name +
-          ") is not " + this.name);
+    const result = this.validate(value, "");
+    if (!result.isValid) {
+      panic(new TypeCheckError(result.message, value, this, result.path));
     }
   }
+
+  checkJson(json) {
+    const result = this.validateJson(json, "");
+    if (!result.isValid) {
+      panic(new TypeCheckError(result.message, json, this, result.path));
+    }
+  }
+
+  /**
+   * Convert a value of this type into a JSON-compatible object.
+   */
+  toJson(value) {
+    return value;
+  }
+
+  /**
+   * Convert a JSON-compatible object into a value of this type.  Panics on type mismatch.
+   */
+  fromJson(json) {
+    this.checkJson(json);
+    return json;
+  }
 }
 
 class Field extends Member {
@@ -72,20 +356,173 @@ class Field extends Member {
   }
 }
 
+/**
+ * A parameter of a Method.  Optional parameters can have a default value, which is used
+ * when the argument is missing; a variadic parameter receives all the remaining arguments,
+ * and must be the last one.
+ */
+class Parameter {
+  constructor(name, type, isOptional, isVariadic, defaultValue) {
+    TypeType.check(type);
+    this.name = name;
+    this.type = type;
+    this.isOptional = Boolean(isOptional);
+    this.isVariadic = Boolean(isVariadic);
+    this.defaultValue = defaultValue;
+    this.doc = null;
+  }
+
+  /**
+   * Set the documentation string that describes this parameter; returns the parameter.
+   */
+  setDoc(doc) {
+    this.doc = doc ? doc : null;
+    return this;
+  }
+
+  toString() {
+    return (this.isVariadic ? "..." : "") + this.name + (this.isOptional ? "?" : "") + ": " +
+        this.type.name;
+  }
+}
+
+function makeParameter(name, type) {
+  return new Parameter(name, type, false, false);
+}
+
+function makeOptionalParameter(name, type, defaultValue) {
+  return new Parameter(name, type, true, false, defaultValue);
+}
+
+function makeVariadicParameter(name, type) {
+  return new Parameter(name, type, true, true);
+}
+
+/**
+ * A method with a result type and, optionally, a signature: an array of Parameters.
+ * When the method is called through call(), the arguments are checked against
+ * the parameters.  Methods without a signature accept any arguments.
+ */
 class Method extends Member {
-  constructor(namespace, name, resultType, implementation) {
+  constructor(namespace, name, resultType, implementation, parameters) {
     super(namespace, name);
     this.resultType = resultType;
     this.implementation = implementation;
+    this.parameters = parameters ? parameters : null;
+
+    if (this.parameters != null) {
+      this.checkSignature();
+    }
+  }
+
+  /**
+   * Check that required parameters come first and only the last one is variadic.
+   */
+  checkSignature() {
+    for (var i = 0; i < this.parameters.length; ++i) {
+      const parameter = this.parameters[i];
+      if (!(parameter instanceof Parameter)) {
+        panic(new ReflectionError("Parameter expected in " + this, { parameter: parameter }));
+      }
+      if (parameter.isVariadic && i < this.parameters.length - 1) {
+        panic(new ReflectionError("Only the last parameter can be variadic in " + this,
+            { parameter: parameter }));
+      }
+      if (i > 0 && this.parameters[i - 1].isOptional && !parameter.isOptional) {
+        panic(new ReflectionError("Required parameter after an optional one in " + this,
+            { parameter: parameter }));
+      }
+    }
   }
 
   getImplementation() {
     return getValue(this.implementation);
   }
 
+  /**
+   * Get the parameter that receives the argument with the given index, or null.
+   */
+  getParameter(index) {
+    if (index < this.parameters.length) {
+      return this.parameters[index];
+    }
+    const last = this.parameters[this.parameters.length - 1];
+    return last && last.isVariadic ? last : null;
+  }
+
+  /**
+   * Describe the signature, such as "makeTextView(text: string, style?: style): view".
+   */
+  getSignature() {
+    const parameters = this.parameters != null ? this.parameters.join(", ") : "...";
+    return this.name + "(" + parameters + "): " + this.resultType.name;
+  }
+
+  /**
+   * Check the number of arguments against the signature.
+   */
+  checkArgumentCount(count) {
+    const required = this.parameters.filter((parameter) => !parameter.isOptional).length;
+    if (count < required) {
+      panic(new ArgumentError(this + ": expected at least " + required + " arguments, got " +
+          count, { method: this }));
+    }
+    if (count > 0 && this.getParameter(count - 1) == null) {
+      panic(new ArgumentError(this + ": expected at most " + this.parameters.length +
+          " arguments, got " + count, { method: this }));
+    }
+  }
+
+  /**
+   * Check the types of the arguments, given a function that validates an argument
+   * with the parameter type.  Optional parameters accept null arguments.
+   */
+  checkArgumentTypes(count, validateArgument) {
+    this.checkArgumentCount(count);
+    for (var i = 0; i < count; ++i) {
+      const parameter = this.getParameter(i);
+      const result = validateArgument(i, parameter);
+      if (!result.isValid) {
+        panic(new ArgumentError(this + ", argument " + parameter.name + ": " + result.message,
+            { method: this, parameter: parameter, index: i }));
+      }
+    }
+  }
+
+  /**
+   * Check the arguments of a call.  Arguments that are References are checked
+   * by their type, other arguments by their value.  Returns the arguments,
+   * with the default values of missing optional parameters added.
+   */
+  checkArguments(callArguments) {
+    if (this.parameters == null) {
+      return callArguments;
+    }
+
+    this.checkArgumentTypes(callArguments.length, (index, parameter) => {
+      const argument = callArguments[index];
+      if (argument == null && parameter.isOptional) {
+        return ValidationResult.VALID;
+      } else if (argument instanceof Reference) {
+        return validateAssignableType(parameter.type, argument.type, parameter.name);
+      } else {
+        return parameter.type.validate(argument, parameter.name);
+      }
+    });
+
+    const result = [...callArguments];
+    for (var i = result.length; i < this.parameters.length; ++i) {
+      if (this.parameters[i].defaultValue === undefined) {
+        break;
+      }
+      result.push(this.parameters[i].defaultValue);
+    }
+    return result;
+  }
+
   call(callArguments) {
     const fn = this.getImplementation();
-    return fn(...callArguments);
+    return fn(...this.checkArguments(callArguments));
   }
 }
 
@@ -94,36 +531,554 @@ const viewsNamespace = new Namespace("views");
 const stylesNamespace = new Namespace("styles");
 const languageNamespace = new Namespace("language");
 
-function addNamespaceType(namespace, name, isInstanceFunction) {
-  const result = new Type(namespace, name, isInstanceFunction);
+function addNamespaceType(namespace, name, isInstanceFunction, equalsFunction) {
+  const result = new Type(namespace, name, isInstanceFunction, equalsFunction);
   namespace.addMember(result);
   return result;
 }
 
-function addEnumType(namespace, name, values) {
-  const all = [];
-  function isInstanceFunction(value) { return all.includes(value); }
-  const result = addNamespaceType(namespace, name, isInstanceFunction);
+/**
+ * An enumerated type.  Values are frozen objects with a name, an index that defines
+ * their order, an optional doc string, and a metadata object, such as { label: "High" }.
+ * Values are accessible as properties of the type (Priority.HIGH) and by name
+ * (Priority.valueOf("HIGH")), and the type is iterable in the order of the values.
+ * Values are converted to JSON as their names.
+ */
+class EnumType extends Type {
+  /**
+   * Create an EnumType given an array of value names, or of objects
+   * with a name, an optional doc and any other metadata properties.
+   */
+  constructor(namespace, name, values) {
+    super(namespace, name,
+        (value) => value != null && this.valuesByName.get(value.name) === value);
+    this.all = [];
+    this.valuesByName = new Map();
+
+    for (let i = 0; i < values.length; ++i) {
+      const spec = StringType.isInstance(values[i]) ? { name: values[i] } : values[i];
+      const metadata = Object.assign({}, spec);
+      delete metadata.name;
+      delete metadata.doc;
+
+      const value = Object.freeze({ name: spec.name, index: i,
+          doc: spec.doc ? spec.doc : null, metadata: Object.freeze(metadata) });
+      if (this.valuesByName.has(value.name) || value.name in this) {
+        panic(new ReflectionError("Invalid enum value name " + value.name,
+            { type: this, name: value.name }));
+      }
+      this[value.name] = value;
+      this.all.push(value);
+      this.valuesByName.set(value.name, value);
+      EnumType.typesByValue.set(value, this);
+    }
+  }
+
+  /**
+   * EnumTypes by their values, see typeOf().
+   */
+  static typesByValue = new WeakMap();
+
+  /**
+   * Get the EnumType of a value, or null if the value doesn't belong to an EnumType.
+   */
+  static typeOf(value) {
+    const type = value != null && typeof value == "object" ?
+        EnumType.typesByValue.get(value) : null;
+    return type ? type : null;
+  }
+
+  /**
+   * Get the value with the given name, or null if there is no such value.
+   */
+  valueOf(name) {
+    const value = this.valuesByName.get(name);
+    return value ? value : null;
+  }
+
+  /**
+   * Compare two values by their order: returns a negative number if the first value
+   * comes before the second one, a positive number if after, and zero if they are equal.
+   */
+  compare(first, second) {
+    this.check(first);
+    this.check(second);
+    return first.index - second.index;
+  }
+
+  [Symbol.iterator]() {
+    return this.all[Symbol.iterator]();
+  }
+
+  validateJson(json, path) {
+    return this.valueOf(json) != null ?
+        ValidationResult.VALID : ValidationResult.invalid(path, this, json);
+  }
+
+  toJson(value) {
+    return value.name;
+  }
+
+  fromJson(json) {
+    this.checkJson(json);
+    return this.valueOf(json);
+  }
+}
+
+/**
+ * Add an EnumType to the namespace, together with a Field for each value.
+ * The optional doc describes the type; the docs of the values describe the fields.
+ */
+function addEnumType(namespace, name, values, doc) {
+  const result = new EnumType(namespace, name, values);
+  namespace.addMember(result.setDoc(doc));
+
+  for (const value of result) {
+    const field = new Field(namespace, value.name, new ConstantReference(value, result));
+    namespace.addMember(field.setDoc(value.doc));
+  }
+
+  return result;
+}
+
+/**
+ * A field of a record type, exposed through reflection.
+ */
+class RecordField extends Member {
+  constructor(recordType, name, fieldType) {
+    super(recordType, name);
+    this.fieldType = fieldType;
+  }
+}
+
+/**
+ * A record (struct) type with a fixed set of typed fields.
+ *
+ * Record values are immutable plain objects, created with create().  The type check
+ * validates every field, recursively for nested records, and the values are compared
+ * structurally.
+ */
+class RecordType extends Type {
+  constructor(namespace, name, fieldTypes) {
+    super(namespace, name, (value) => this.validate(value, "").isValid, deepEquals);
+    this.fields = [];
+    this.membersByName = new Map();
+
+    for (const fieldName in fieldTypes) {
+      TypeType.check(fieldTypes[fieldName]);
+      const field = new RecordField(this, fieldName, fieldTypes[fieldName]);
+      this.fields.push(field);
+      this.membersByName.set(fieldName, field);
+    }
+  }
+
+  getMember(fieldName) {
+    return this.membersByName.get(fieldName);
+  }
+
+  validate(value, path) {
+    return this.validateFields(value, path, (type, fieldValue, fieldPath) =>
+        type.validate(fieldValue, fieldPath));
+  }
+
+  validateJson(json, path) {
+    return this.validateFields(json, path, (type, fieldValue, fieldPath) =>
+        type.validateJson(fieldValue, fieldPath));
+  }
 
-  for (let i = 0; i < values.length; ++i) {
-    const valueName = values[i];
-    const value = { name: valueName, index: i };
-    result[valueName] = value;
+  /**
+   * Validate an object and its fields, calling validateField() for each field.
+   */
+  validateFields(value, path, validateField) {
+    if (value == null || typeof value != "object" || Array.isArray(value)) {
+      return ValidationResult.invalid(path, this, value);
+    }
+
+    for (const key of Object.keys(value)) {
+      if (!this.membersByName.has(key)) {
+        return ValidationResult.invalid(appendPath(path, key), this, value,
+            this.name + " has no field " + key);
+      }
+    }
 
-    all.push(value);
+    for (const field of this.fields) {
+      const result = validateField(field.fieldType, value[field.name],
+          appendPath(path, field.name));
+      if (!result.isValid) {
+        return result;
+      }
+    }
+
+    return ValidationResult.VALID;
+  }
+
+  /**
+   * Create a record given an object with field values.
+   */
+  create(fieldValues) {
+    const result = {};
+    for (const field of this.fields) {
+      result[field.name] = fieldValues[field.name];
+    }
+    this.check(result);
+    return Object.freeze(result);
   }
 
-  result['all'] = all;
+  toJson(value) {
+    const result = {};
+    for (const field of this.fields) {
+      result[field.name] = field.fieldType.toJson(value[field.name]);
+    }
+    return result;
+  }
 
-  for (let i = 0; i < all.length; ++i) {
-    namespace.addMember(new Field(namespace, all[i].name, new ConstantReference(all[i], result)));
+  fromJson(json) {
+    this.checkJson(json);
+    const fieldValues = {};
+    for (const field of this.fields) {
+      fieldValues[field.name] = field.fieldType.fromJson(json[field.name]);
+    }
+    return this.create(fieldValues);
   }
+}
 
+/**
+ * Add a record type to the namespace, given an object that maps field names to types.
+ */
+function addRecordType(namespace, name, fieldTypes) {
+  const result = new RecordType(namespace, name, fieldTypes);
+  namespace.addMember(result);
   return result;
 }
 
-function addElementType(name, isInstanceFunction) {
-  return addNamespaceType(elementsNamespace, name, isInstanceFunction);
+/**
+ * A type produced by a type constructor such as ListOf() from type parameters.
+ * Instances are canonical: the same constructor applied to the same parameters
+ * always returns the same object, so types can be compared with ==.
+ *
+ * Subclasses implement validate() and validateJson(); isInstance() is derived from them.
+ */
+class ParameterizedType extends Type {
+  constructor(typeConstructor, parameters, equalsFunction) {
+    super(elementsNamespace, ParameterizedType.makeName(typeConstructor, parameters),
+        (value) => this.validate(value, "").isValid, equalsFunction);
+    this.typeConstructor = typeConstructor;
+    this.parameters = parameters;
+  }
+
+  static makeName(typeConstructor, parameters) {
+    const separator = typeConstructor == "union" ? " | " : ", ";
+    return typeConstructor + "<" + parameters.map((type) => type.name).join(separator) + ">";
+  }
+
+  static cache = new Map();
+
+  /**
+   * Get the canonical instance for the constructor and parameters,
+   * calling makeType() to create it if needed.
+   */
+  static lookup(typeConstructor, parameters, makeType) {
+    for (const type of parameters) {
+      TypeType.check(type);
+    }
+
+    var parameterMap = ParameterizedType.cache.get(typeConstructor);
+    if (!parameterMap) {
+      parameterMap = new Map();
+      ParameterizedType.cache.set(typeConstructor, parameterMap);
+    }
+
+    // Nested maps keyed by parameters, since different types may have the same name.
+    // The "instance" key can't clash with the parameters, which are Types.
+    for (const type of parameters) {
+      if (!parameterMap.has(type)) {
+        parameterMap.set(type, new Map());
+      }
+      parameterMap = parameterMap.get(type);
+    }
+
+    if (!parameterMap.has("instance")) {
+      parameterMap.set("instance", makeType());
+    }
+    return parameterMap.get("instance");
+  }
+}
+
+class ListOfType extends ParameterizedType {
+  constructor(elementType) {
+    super("list", [ elementType ], deepEquals);
+    this.elementType = elementType;
+  }
+
+  validate(value, path) {
+    if (!(value instanceof List)) {
+      return ValidationResult.invalid(path, this, value);
+    }
+    if (value.elementType == this.elementType) {
+      return ValidationResult.VALID;
+    }
+    return this.validateElements(value.elements, path,
+        (element, elementPath) => this.elementType.validate(element, elementPath));
+  }
+
+  validateJson(json, path) {
+    if (!Array.isArray(json)) {
+      return ValidationResult.invalid(path, this, json);
+    }
+    return this.validateElements(json, path,
+        (element, elementPath) => this.elementType.validateJson(element, elementPath));
+  }
+
+  validateElements(elements, path, validateElement) {
+    for (var i = 0; i < elements.length; ++i) {
+      const result = validateElement(elements[i], path + "[" + i + "]");
+      if (!result.isValid) {
+        return result;
+      }
+    }
+    return ValidationResult.VALID;
+  }
+
+  toJson(value) {
+    return value.elements.map((element) => this.elementType.toJson(element));
+  }
+
+  fromJson(json) {
+    this.checkJson(json);
+    return new List(json.map((element) => this.elementType.fromJson(element)), this.elementType);
+  }
+}
+
+/**
+ * The type of Lists with elements of the given type.
+ */
+function ListOf(elementType) {
+  return ParameterizedType.lookup("list", [ elementType ], () => new ListOfType(elementType));
+}
+
+class OptionalType extends ParameterizedType {
+  constructor(valueType) {
+    super("optional", [ valueType ], (first, second) => (first == null || second == null) ?
+        first == second : valueType.equals(first, second));
+    this.valueType = valueType;
+  }
+
+  validate(value, path) {
+    return value == null ? ValidationResult.VALID : this.valueType.validate(value, path);
+  }
+
+  validateJson(json, path) {
+    return json == null ? ValidationResult.VALID : this.valueType.validateJson(json, path);
+  }
+
+  toJson(value) {
+    return value == null ? null : this.valueType.toJson(value);
+  }
+
+  fromJson(json) {
+    return json == null ? null : this.valueType.fromJson(json);
+  }
+}
+
+/**
+ * The type of values that are either of the given type, or null.
+ */
+function Optional(valueType) {
+  return ParameterizedType.lookup("optional", [ valueType ], () => new OptionalType(valueType));
+}
+
+class MapOfType extends ParameterizedType {
+  constructor(keyType, valueType) {
+    super("map", [ keyType, valueType ], (first, second) => first === second ||
+        (first instanceof Map && second instanceof Map && first.size == second.size &&
+            [...first].every(
+                ([key, value]) => second.has(key) && valueType.equals(value, second.get(key)))));
+    this.keyType = keyType;
+    this.valueType = valueType;
+  }
+
+  /**
+   * Both Maps and ObservableMaps are accepted.
+   */
+  validate(value, path) {
+    if (value instanceof ObservableMap) {
+      if (value.keyType == this.keyType && value.valueType == this.valueType) {
+        return ValidationResult.VALID;
+      }
+      value = value.entries;
+    }
+
+    if (!(value instanceof Map)) {
+      return ValidationResult.invalid(path, this, value);
+    }
+    return this.validateEntries(value, path, (type, element, elementPath) =>
+        type.validate(element, elementPath));
+  }
+
+  validateJson(json, path) {
+    if (json == null || typeof json != "object" || Array.isArray(json)) {
+      return ValidationResult.invalid(path, this, json);
+    }
+    return this.validateEntries(Object.entries(json), path, (type, element, elementPath) =>
+        type.validateJson(element, elementPath));
+  }
+
+  validateEntries(entries, path, validateElement) {
+    for (const [key, element] of entries) {
+      const elementPath = path + "[" + JSON.stringify(key) + "]";
+      const result = validateElement(this.keyType, key, elementPath);
+      if (!result.isValid) {
+        return result;
+      }
+      const elementResult = validateElement(this.valueType, element, elementPath);
+      if (!elementResult.isValid) {
+        return elementResult;
+      }
+    }
+    return ValidationResult.VALID;
+  }
+
+  toJson(value) {
+    if (value instanceof ObservableMap) {
+      value = value.entries;
+    }
+
+    const json = {};
+    for (const [key, element] of value) {
+      json[this.keyType.toJson(key)] = this.valueType.toJson(element);
+    }
+    return json;
+  }
+
+  fromJson(json) {
+    this.checkJson(json);
+    const value = new Map();
+    for (const key of Object.keys(json)) {
+      value.set(this.keyType.fromJson(key), this.valueType.fromJson(json[key]));
+    }
+    return value;
+  }
+}
+
+/**
+ * The type of Maps with keys and values of the given types.
+ * When converted to JSON, keys are used as property names.
+ */
+function MapOf(keyType, valueType) {
+  return ParameterizedType.lookup("map", [ keyType, valueType ],
+      () => new MapOfType(keyType, valueType));
+}
+
+class UnionOfType extends ParameterizedType {
+  constructor(memberTypes) {
+    super("union", memberTypes, (first, second) => first === second ||
+        memberTypes.some((type) =>
+            type.isInstance(first) && type.isInstance(second) && type.equals(first, second)));
+    this.memberTypes = memberTypes;
+  }
+
+  validate(value, path) {
+    return this.memberTypes.some((type) => type.isInstance(value)) ?
+        ValidationResult.VALID : ValidationResult.invalid(path, this, value);
+  }
+
+  validateJson(json, path) {
+    return this.memberTypes.some((type) => type.validateJson(json, path).isValid) ?
+        ValidationResult.VALID : ValidationResult.invalid(path, this, json);
+  }
+
+  toJson(value) {
+    return this.memberTypes.find((type) => type.isInstance(value)).toJson(value);
+  }
+
+  fromJson(json) {
+    // Use the first member type that accepts the JSON.
+    this.checkJson(json);
+    const type = this.memberTypes.find((type) => type.validateJson(json, "").isValid);
+    return type.fromJson(json);
+  }
+}
+
+/**
+ * The type of values that belong to any of the given types.
+ */
+function UnionOf(...memberTypes) {
+  return ParameterizedType.lookup("union", memberTypes, () => new UnionOfType(memberTypes));
+}
+
+/**
+ * Check whether values of the type can be converted to JSON and back,
+ * and therefore stored in a datastore.
+ */
+function isSerializableType(type) {
+  if (type == BooleanType || type == StringType || type == IntegerType ||
+      type instanceof EnumType) {
+    return true;
+  }
+
+  if (type instanceof RecordType) {
+    return type.fields.every((field) => isSerializableType(field.fieldType));
+  }
+
+  if (type instanceof ParameterizedType) {
+    if (type.typeConstructor == "map" && type.parameters[0] != StringType) {
+      return false;
+    }
+    return type.parameters.every(isSerializableType);
+  }
+
+  return false;
+}
+
+/**
+ * Check whether values of the source type can be used where the target type is expected.
+ * The check is conservative: ObjectType is treated as an unknown type, and is assignable
+ * both ways.
+ */
+function isAssignableType(targetType, sourceType) {
+  if (targetType == sourceType || targetType == ObjectType || sourceType == ObjectType) {
+    return true;
+  }
+
+  if (targetType instanceof OptionalType) {
+    return sourceType == NullType || isAssignableType(targetType.valueType, sourceType);
+  }
+
+  if (sourceType instanceof OptionalType) {
+    return isAssignableType(targetType, sourceType.valueType);
+  }
+
+  if (targetType instanceof UnionOfType) {
+    return targetType.memberTypes.some((type) => isAssignableType(type, sourceType));
+  }
+
+  if (sourceType instanceof UnionOfType) {
+    return sourceType.memberTypes.every((type) => isAssignableType(targetType, type));
+  }
+
+  if (targetType == ListType) {
+    return sourceType instanceof ListOfType;
+  }
+
+  if (sourceType == ListType && targetType instanceof ListOfType) {
+    // The element type is not known.
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Validate that a source type is assignable to a target type; returns a ValidationResult.
+ */
+function validateAssignableType(targetType, sourceType, path) {
+  return isAssignableType(targetType, sourceType) ? ValidationResult.VALID :
+      ValidationResult.invalid(path, targetType, null,
+          "expected " + targetType.name + ", got " + sourceType.name);
+}
+
+function addElementType(name, isInstanceFunction, equalsFunction) {
+  return addNamespaceType(elementsNamespace, name, isInstanceFunction, equalsFunction);
 }
 
 const BooleanType = addElementType("boolean", (value) => typeof value == "boolean");
@@ -134,32 +1089,146 @@ const IntegerType = addElementType("integer",
     (value) => typeof value == "number" && Number.isInteger(value));
 
 // Arrays used for low-level lists
-const ArrayType = addElementType("array", (value) => Array.isArray(value));
-
-const ListType = addElementType("list", (value) => value instanceof List);
+const ArrayType = addElementType("array", (value) => Array.isArray(value), deepEquals);
 
-// TODO: factor out 'or null'
-const ListOrNullType = addElementType("list_or_null",
-    (value) => value == null || value instanceof List);
+const ListType = addElementType("list", (value) => value instanceof List, deepEquals);
 
 const FunctionType = addElementType("function", (value) => typeof value == "function");
 
 const NullType = addElementType("null", (value) => value == null);
 
-const ObjectType = addElementType("object", (value) => true);
+const ObjectType = addElementType("object", (value) => true, identityEquals);
 
 const TypeType = addElementType("type", (value) => value instanceof Type);
 
+const ListOrNullType = Optional(ListType);
+// The type used to be registered as "elements:list_or_null".
+elementsNamespace.addAlias("list_or_null", ListOrNullType);
+
 const LifespanType = addElementType("lifespan", (value) => value instanceof Lifespan);
 
-const SyncStatus = addEnumType(elementsNamespace, "SyncStatus",
-    [ "NOT_INITIALIZED", "NOT_AUTHENTICATED", "OFFLINE", "ONLINE" ]);
+const SyncStatus = addEnumType(elementsNamespace, "SyncStatus", [
+  { name: "NOT_INITIALIZED", doc: "The state hasn't been loaded yet." },
+  { name: "NOT_AUTHENTICATED", doc: "The user needs to sign in." },
+  { name: "OFFLINE", doc: "The server can't be reached; changes are kept locally." },
+  { name: "ONLINE", doc: "The state is synchronized with the server." },
+  { name: "REJECTED", doc: "The server rejected the changes; they are not sent again." }
+], "The state of synchronization of a datastore with the server.");
+
+const Priority = addEnumType(elementsNamespace, "Priority", [
+  { name: "NONE", doc: "Synchronization wasn't requested." },
+  { name: "LOWEST", doc: "Synchronize when there is nothing else to do." },
+  { name: "LOW", doc: "Synchronize after the more important requests." },
+  { name: "NORMAL", doc: "Synchronize in the usual order." },
+  { name: "HIGH", doc: "Synchronize before the less important requests." },
+  { name: "HIGHEST", doc: "Synchronize as soon as possible." }
+], "The priority of a synchronization request.");
+
+const AsyncStatus = addEnumType(elementsNamespace, "AsyncStatus", [
+  { name: "IDLE", doc: "The function hasn't been invoked yet." },
+  { name: "LOADING", doc: "Waiting for the result." },
+  { name: "READY", doc: "The value is available." },
+  { name: "ERROR", doc: "The invocation failed." }
+], "The status of an asynchronous reference.");
+
+function addElementMethod(name, resultType, implementation, parameters, doc) {
+  elementsNamespace.addMember(
+      new Method(elementsNamespace, name, resultType, implementation, parameters).setDoc(doc));
+}
+
+/**
+ * The optional lifespan parameter that most element methods take last.
+ */
+function makeLifespanParameter() {
+  return makeOptionalParameter("lifespan", LifespanType)
+      .setDoc("The lifespan of the observers; the default is the top-level lifespan.");
+}
+
+addElementMethod("equalsOp", BooleanType, equalsOp, [
+  makeParameter("first", ObjectType).setDoc("A value or a Reference to it."),
+  makeParameter("second", ObjectType).setDoc("A value or a Reference to it."),
+  makeLifespanParameter()
+], "True if the two values are equal.");
+
+addElementMethod("notEqualsOp", BooleanType, notEqualsOp, [
+  makeParameter("first", ObjectType).setDoc("A value or a Reference to it."),
+  makeParameter("second", ObjectType).setDoc("A value or a Reference to it."),
+  makeLifespanParameter()
+], "True if the two values are not equal.");
+
+addElementMethod("atLeastOp", BooleanType, atLeastOp, [
+  makeParameter("first", ObjectType).setDoc("An enum value."),
+  makeParameter("second", ObjectType).setDoc("An enum value of the same type."),
+  makeLifespanParameter()
+], "True if the first enum value doesn't come before the second one.");
+
+addElementMethod("atMostOp", BooleanType, atMostOp, [
+  makeParameter("first", ObjectType).setDoc("An enum value."),
+  makeParameter("second", ObjectType).setDoc("An enum value of the same type."),
+  makeLifespanParameter()
+], "True if the first enum value doesn't come after the second one.");
+
+addElementMethod("stringJoin", StringType, stringJoin, [
+  makeVariadicParameter("values", ObjectType).setDoc("Values to convert to strings.")
+], "Concatenates the values.");
+
+addElementMethod("formatOp", StringType, formatOp, [
+  makeParameter("template", StringType).setDoc(
+      "Message with placeholders such as {0}, {count, plural, one {# item} other {# items}}."),
+  makeVariadicParameter("values", ObjectType)
+      .setDoc("Values of positional placeholders, or an object with named values.")
+], "Formats a message, with support for numbers, plurals and select rules.");
+
+addElementMethod("debounceOp", ObjectType, debounceOp, [
+  makeParameter("source", ObjectType).setDoc("The value to follow."),
+  makeParameter("delayMilliseconds", IntegerType)
+      .setDoc("How long the source has to stay the same."),
+  makeLifespanParameter()
+], "Follows the source value once it stops changing for the given delay.");
+
+addElementMethod("throttleOp", ObjectType, throttleOp, [
+  makeParameter("source", ObjectType).setDoc("The value to follow."),
+  makeParameter("intervalMilliseconds", IntegerType).setDoc("The minimum time between updates."),
+  makeLifespanParameter()
+], "Follows the source value, updating at most once per interval.");
+
+addElementMethod("delayOp", ObjectType, delayOp, [
+  makeParameter("source", ObjectType).setDoc("The value to follow."),
+  makeParameter("delayMilliseconds", IntegerType).setDoc("How long each value is delayed."),
+  makeLifespanParameter()
+], "Follows the source value with a delay.");
+
+addElementMethod("clockReference", IntegerType, clockReference, [
+  makeParameter("intervalMilliseconds", IntegerType).setDoc("The time between updates."),
+  makeLifespanParameter()
+], "The current time in milliseconds, updated once per interval.");
 
-const Priority = addEnumType(elementsNamespace, "Priority",
-    [ "NONE", "LOWEST", "LOW", "NORMAL", "HIGH", "HIGHEST" ]);
+addElementMethod("mapList", ListType, mapList, [
+  makeParameter("list", ListOrNullType).setDoc("The source list."),
+  makeParameter("mapFunction", FunctionType).setDoc("Maps an element to the result element."),
+  makeOptionalParameter("elementType", TypeType)
+      .setDoc("The type of the result elements; the default is object."),
+  makeLifespanParameter()
+], "A list with the function applied to each element.");
 
-elementsNamespace.addMember(new Method(elementsNamespace, "equalsOp", BooleanType, equalsOp));
+addElementMethod("filterList", ListType, filterList, [
+  makeParameter("list", ListOrNullType).setDoc("The source list."),
+  makeParameter("predicate", FunctionType).setDoc("True for the elements to keep."),
+  makeLifespanParameter()
+], "A list of the elements for which the predicate is true.");
 
-elementsNamespace.addMember(new Method(elementsNamespace, "notEqualsOp", BooleanType, notEqualsOp));
+addElementMethod("sortList", ListType, sortList, [
+  makeParameter("list", ListOrNullType).setDoc("The source list."),
+  makeOptionalParameter("compareFunction", FunctionType)
+      .setDoc("Compares two elements, as in Array.sort(); the default is the natural order."),
+  makeLifespanParameter()
+], "A sorted list of the elements.");
 
-elementsNamespace.addMember(new Method(elementsNamespace, "stringJoin", StringType, stringJoin));
+addElementMethod("reduceList", ObjectType, reduceList, [
+  makeParameter("list", ListOrNullType).setDoc("The source list."),
+  makeParameter("reduceFunction", FunctionType)
+      .setDoc("Combines the result so far with an element, as in Array.reduce()."),
+  makeParameter("initialValue", ObjectType).setDoc("The result for an empty list."),
+  makeOptionalParameter("type", TypeType).setDoc("The type of the result; the default is object."),
+  makeLifespanParameter()
+], "Combines the elements of the list into one value.");
@@ -0,0 +1,123 @@
+/**
+ * Copyright 2024-2025 Dynin Labs, Inc. All rights reserved.
+ * Use of this source code is governed by a BSD-style
+ * license that can be found in the LICENSE file or at
+ * https://dynin.com/berkeley-license/
+ */
+
+/**
+ * The version of the schema format; increment it when the format changes incompatibly.
+ */
+const SCHEMA_VERSION = 1;
+
+const SCHEMA_ENDPOINT = "/dev/schema";
+
+/**
+ * Get the name used to refer to a type in the schema, such as "elements:string".
+ * Parameterized types are referred to by their structural names, such as "list<string>".
+ */
+function getSchemaTypeName(type) {
+  if (type == null) {
+    return null;
+  } else if (type instanceof ParameterizedType) {
+    return type.name;
+  } else {
+    return type.namespace + ":" + type.name;
+  }
+}
+
+function compareByName(first, second) {
+  return first.name < second.name ? -1 : (first.name > second.name ? 1 : 0);
+}
+
+function exportParameter(parameter) {
+  const result = {
+    name: parameter.name,
+    type: getSchemaTypeName(parameter.type),
+    optional: parameter.isOptional,
+    variadic: parameter.isVariadic
+  };
+
+  if (parameter.defaultValue !== undefined && isSerializableType(parameter.type)) {
+    result.default = parameter.type.toJson(parameter.defaultValue);
+  }
+  if (parameter.doc) {
+    result.doc = parameter.doc;
+  }
+
+  return result;
+}
+
+function exportType(type) {
+  const result = { name: type.name, kind: "type" };
+
+  if (type instanceof RecordType) {
+    result.typeKind = "record";
+    result.fields = type.fields.map((field) =>
+        ({ name: field.name, type: getSchemaTypeName(field.fieldType) }));
+  } else if (type instanceof EnumType) {
+    result.typeKind = "enum";
+    result.values = type.all.map((value) => value.name);
+  } else {
+    result.typeKind = "primitive";
+  }
+
+  return result;
+}
+
+function exportMember(member) {
+  var result;
+  if (member instanceof Type) {
+    result = exportType(member);
+  } else if (member instanceof Field) {
+    result = {
+      name: member.name,
+      kind: "field",
+      type: getSchemaTypeName(member.fieldReference.type)
+    };
+  } else if (member instanceof Method) {
+    result = {
+      name: member.name,
+      kind: "method",
+      resultType: getSchemaTypeName(member.resultType),
+      // Methods without a signature accept any arguments.
+      parameters: member.parameters != null ? member.parameters.map(exportParameter) : null
+    };
+  } else {
+    result = { name: member.name, kind: "unknown" };
+  }
+
+  if (member.doc) {
+    result.doc = member.doc;
+  }
+  return result;
+}
+
+function exportNamespace(namespace) {
+  return {
+    name: namespace.qualifiedName,
+    kind: namespace instanceof Datastore ? "datastore" : "namespace",
+    members: [...namespace.membersByName.values()].map(exportMember).sort(compareByName)
+  };
+}
+
+/**
+ * Export the namespaces of a registry (Namespace.registry by default) as a plain object
+ * that can be converted to JSON.  Namespaces and members are sorted by name, so that
+ * the schemas of different releases can be diffed.
+ */
+function exportSchema(registry) {
+  registry = registry ? registry : Namespace.registry;
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    namespaces: registry.getNamespaces().map(exportNamespace).sort(compareByName)
+  };
+}
+
+/**
+ * Export the schema as a JSON string.
+ */
+function exportSchemaAsJson(registry) {
+  return JSON.stringify(exportSchema(registry), null, 2);
+}
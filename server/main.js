@@ -8,21 +8,35 @@
 const HOSTNAME = "0.0.0.0";
 const PORT = 6868;
 
+// Development-only endpoints, such as the reflection schema, are served only in dev mode:
+// pass --dev on the command line or set HELLO_CLOUD_DEV=1 in the environment.
+const DEV_MODE = process.argv.includes("--dev") || process.env.HELLO_CLOUD_DEV == "1";
+
 const fs = require("fs");
 const vm = require("vm");
 const http = require("http");
 const querystring = require("querystring");
 
-function loadCommonModule(moduleName) {
-  const app = fs.readFileSync("common/" + moduleName + ".js");
+function loadModule(path) {
+  const app = fs.readFileSync(path + ".js");
   vm.runInThisContext(app);
 }
 
+function loadCommonModule(moduleName) {
+  loadModule("common/" + moduleName);
+}
+
 loadCommonModule("elements");
 loadCommonModule("reflection");
 loadCommonModule("datastore");
 loadCommonModule("counterdata");
 loadCommonModule("protocol");
+if (DEV_MODE) {
+  loadCommonModule("schema");
+  // Styles and views are loaded so that the schema describes the UI definitions, too.
+  loadModule("client/views/styles");
+  loadModule("client/views/views");
+}
 
 const SECRETS_FILENAME = "data/secrets.json";
 const DATA_FILENAME = "data/counter.json";
@@ -52,7 +66,8 @@ class Server {
     const httpServer = http.createServer(
         (request, response) => this.processRequest(request, response));
     httpServer.listen(port, hostname, () => {
-      console.log(`Server running at http://${hostname}:${port}/`);
+      console.log(`Server running at http://${hostname}:${port}/` +
+          (DEV_MODE ? " in dev mode" : ""));
     });
   }
 
@@ -66,6 +81,8 @@ class Server {
       return this.respondWithStatus(204, response);
     } else if (url == SYNC_ENDPOINT) {
       return this.processSync(request, response);
+    } else if (DEV_MODE && url == SCHEMA_ENDPOINT) {
+      return this.processSchema(response);
     }
 
     var path = url.substring(1);
@@ -103,6 +120,12 @@ class Server {
     response.end(status + "!");
   }
 
+  respondWithError(status, message, response) {
+    console.log("Error " + status + ": " + message);
+    response.writeHead(status, {"Content-Type": "text/plain"});
+    response.end(message);
+  }
+
   redirect(location, response) {
     response.writeHead(302, {"Location": location});
     response.end(location);
@@ -148,6 +171,11 @@ class Server {
     });
   }
 
+  processSchema(response) {
+    response.writeHead(200, {"Content-Type": "application/json"});
+    response.end(exportSchemaAsJson());
+  }
+
   processPull(payload, response) {
     const responsePayload = JSON.stringify(this.datastore.toJson());
     console.log("Pull request: " + responsePayload);
@@ -157,7 +185,20 @@ class Server {
 
   processPush(payload, response) {
     console.log("Push request: " + payload);
-    this.datastore.fromJson(JSON.parse(payload));
+
+    var data;
+    try {
+      data = JSON.parse(payload);
+    } catch (error) {
+      return this.respondWithError(400, "Malformed payload: " + error.message, response);
+    }
+
+    const validation = this.datastore.validateJson(data);
+    if (!validation.isValid) {
+      return this.respondWithError(400, validation.message, response);
+    }
+
+    this.datastore.fromJson(data);
     response.writeHead(200, {"Content-Type": "text/plain"});
     response.end("Ok");
     this.storeData(DATA_FILENAME);
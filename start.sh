@@ -13,4 +13,4 @@ then
   echo "{\"SYNC_TOKEN\": \"$SYNC_TOKEN\"}" > $SECRETS
 fi
 
-node server/main.js
+node server/main.js "$@"
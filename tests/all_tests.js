@@ -8,13 +8,83 @@
 const fs = require("fs");
 const vm = require("vm");
 
-function loadCommonModule(moduleName) {
-  const app = fs.readFileSync("common/" + moduleName + ".js");
+function loadModule(path) {
+  const app = fs.readFileSync(path + ".js");
   vm.runInThisContext(app);
 }
 
+function loadCommonModule(moduleName) {
+  loadModule("common/" + moduleName);
+}
+
 loadCommonModule("elements");
 loadCommonModule("reflection");
+loadCommonModule("datastore");
+loadCommonModule("protocol");
+loadCommonModule("history");
+loadCommonModule("debugging");
+loadCommonModule("schema");
+loadModule("client/network/transport");
+loadModule("client/network/sync");
+loadModule("client/network/storage");
+loadModule("client/views/styles");
+loadModule("client/views/views");
+loadModule("client/language/constructs");
+loadModule("client/language/parsers");
+loadModule("client/language/formatters");
+
+/**
+ * Just enough of the DOM to render views in Node.js.
+ */
+class FakeNode {
+  constructor(tagName, textContent) {
+    this.tagName = tagName;
+    this.textContent = textContent ? textContent : "";
+    this.childNodes = [];
+    this.attributes = new Map();
+  }
+
+  appendChild(child) {
+    if (child instanceof DocumentFragment) {
+      this.childNodes.push(...child.childNodes);
+    } else {
+      this.childNodes.push(child);
+    }
+  }
+
+  replaceChildren(...children) {
+    this.childNodes = [];
+    for (const child of children) {
+      this.appendChild(child);
+    }
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, value);
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+
+  getText() {
+    return this.textContent + this.childNodes.map((child) => child.getText()).join("");
+  }
+}
+
+globalThis.DocumentFragment = class extends FakeNode {
+  constructor() {
+    super("#fragment");
+  }
+};
+
+globalThis.document = {
+  createElement: (tagName) => new FakeNode(tagName),
+  createTextNode: (text) => new FakeNode("#text", text)
+};
+
+// Panics are expected in tests; errors that are not handled are still reported.
+setPanicHandler((error) => { });
 
 function processEventQueues() {
   ForeverLifespan.instance.zone.processQueues();
@@ -40,6 +110,223 @@ function testEnums() {
   if (SyncStatus.ONLINE.index != 3 || SyncStatus.ONLINE.name != "ONLINE") {
     panic("Failed enum value check");
   }
+
+  if (TestEnum.valueOf("BAR") != TestEnum.BAR || TestEnum.valueOf("QUX") != null ||
+      TestEnum.isInstance(undefined) || TestEnum.isInstance({ name: "FOO", index: 0 })) {
+    panic("Failed enum lookup check");
+  }
+
+  if (TestEnum.compare(TestEnum.FOO, TestEnum.BAZ) >= 0 ||
+      TestEnum.compare(TestEnum.BAR, TestEnum.BAR) != 0 ||
+      [...TestEnum].map((value) => value.name).join(",") != "FOO,BAR,BAZ") {
+    panic("Failed enum ordering check");
+  }
+  expectPanic(() => TestEnum.compare(TestEnum.FOO, Priority.LOW), TypeCheckError);
+
+  const namespace = new Namespace("enumTest");
+  const Size = addEnumType(namespace, "size",
+      [ { name: "SMALL", label: "Small" }, { name: "LARGE", label: "Large", doc: "Big." } ]);
+  if (Size.LARGE.metadata.label != "Large" || Size.SMALL.index != 0 ||
+      namespace.getMember("LARGE").fieldReference.value != Size.LARGE ||
+      Size.LARGE.doc != "Big." || "doc" in Size.LARGE.metadata || Size.SMALL.doc != null ||
+      namespace.getMember("LARGE").doc != "Big.") {
+    panic("Failed enum metadata check");
+  }
+  expectPanic(() => addEnumType(namespace, "bad", [ "ONE", "ONE" ]), ReflectionError);
+
+  if (Size.toJson(Size.LARGE) != "LARGE" || Size.fromJson("SMALL") != Size.SMALL ||
+      Size.validateJson("MEDIUM", "size").isValid || !isSerializableType(Size)) {
+    panic("Failed enum JSON check");
+  }
+  expectPanic(() => Size.fromJson("MEDIUM"), TypeCheckError);
+
+  const priority = makeBoxed(Priority.LOW, Priority);
+  const isUrgent = atLeastOp(priority, Priority.HIGH);
+  const isQuiet = atMostOp(priority, Priority.LOW);
+  if (getValue(isUrgent) || !getValue(isQuiet)) {
+    panic("Failed enum operator check");
+  }
+  setValue(priority, Priority.HIGHEST);
+  processEventQueues();
+  if (!getValue(isUrgent) || getValue(isQuiet)) {
+    panic("Failed enum operator update check");
+  }
+  expectPanic(() => getValue(atLeastOp(Priority.LOW, SyncStatus.ONLINE)), TypeCheckError);
+  expectPanic(() => getValue(atMostOp(2, Priority.LOW)), TypeCheckError);
+  expectPanic(() => getValue(atMostOp(Priority.LOW, "HIGH")), TypeCheckError);
+  if (EnumType.typeOf(Priority.LOW) != Priority || EnumType.typeOf("LOW") != null) {
+    panic("Failed enum type lookup check");
+  }
+
+  // Enum fields are synchronized by name.
+  const datastore = makeDatastore("enumDatastore", { size: makeBoxed(Size.SMALL, Size) });
+  if (!datastore.fieldNames.includes("size") || datastore.toJson().size != "SMALL") {
+    panic("Failed enum datastore check");
+  }
+  datastore.fromJson({ size: "LARGE" });
+  if (getValue(datastore.size) != Size.LARGE ||
+      datastore.validateJson({ size: "HUGE" }).path != "size") {
+    panic("Failed enum datastore update check");
+  }
+}
+
+function testRecordTypes() {
+  const namespace = new Namespace("recordTest");
+  const PointType = addRecordType(namespace, "point", { x: IntegerType, y: IntegerType });
+  const SegmentType = addRecordType(namespace, "segment",
+      { start: PointType, end: PointType, label: StringType });
+
+  const start = PointType.create({ x: 1, y: 2 });
+  const segment = SegmentType.create(
+      { start: start, end: PointType.create({ x: 3, y: 4 }), label: "s" });
+
+  if (namespace.getMember("segment") != SegmentType ||
+      SegmentType.getMember("start").fieldType != PointType) {
+    panic("Failed record reflection check");
+  }
+
+  expectPanic(() => PointType.create({ x: 1, y: "2" }), TypeCheckError);
+  expectPanic(() => SegmentType.check({ start: start, end: { x: 1 }, label: "s" }),
+      TypeCheckError);
+  expectPanic(() => PointType.check({ x: 1, y: 2, z: 3 }), TypeCheckError);
+  if (!Object.isFrozen(start)) {
+    panic("Failed record immutability check");
+  }
+
+  const json = SegmentType.toJson(segment);
+  const copy = SegmentType.fromJson(JSON.parse(JSON.stringify(json)));
+  if (copy == segment || !SegmentType.equals(copy, segment) || copy.end.y != 4) {
+    panic("Failed record JSON check");
+  }
+
+  var triggerCount = 0;
+  const boxed = makeBoxed(segment, SegmentType);
+  observe(boxed, ForeverLifespan.instance, () => { triggerCount += 1; });
+  setValue(boxed, copy);
+  processEventQueues();
+  if (triggerCount != 0) {
+    panic("Failed record equality check");
+  }
+
+  const points = new List([ start, PointType.create({ x: 0, y: 0 }) ], PointType);
+  expectPanic(() => new List([ start, segment ], PointType), TypeCheckError);
+
+  const datastore = makeDatastore("recordDatastore", {
+    origin: makeBoxed(PointType.create({ x: 0, y: 0 }), PointType)
+  });
+  if (datastore.toJson().origin.x != 0) {
+    panic("Failed datastore record serialization check");
+  }
+  datastore.fromJson({ origin: { x: 5, y: 6 } });
+  if (getValue(datastore.origin).y != 6 || !PointType.isInstance(getValue(datastore.origin)) ||
+      points.size() != 2) {
+    panic("Failed datastore record deserialization check");
+  }
+}
+
+function testParameterizedTypes() {
+  const namespace = new Namespace("parameterizedTest");
+  const PointType = addRecordType(namespace, "point", { x: IntegerType, y: IntegerType });
+
+  if (ListOf(StringType) != ListOf(StringType) || ListOf(StringType) == ListOf(IntegerType) ||
+      MapOf(StringType, ListOf(IntegerType)) != MapOf(StringType, ListOf(IntegerType)) ||
+      ListOrNullType != Optional(ListType)) {
+    panic("Failed canonical instance check");
+  }
+
+  // Types can still be found by their former names.
+  if (Namespace.registry.lookup("elements").getMember("list_or_null") != ListOrNullType ||
+      [...elementsNamespace.membersByName.keys()].includes("list_or_null")) {
+    panic("Failed type alias check");
+  }
+  expectPanic(() => namespace.addAlias("point", ListOrNullType), ReflectionError);
+
+  const NamesType = Optional(ListOf(StringType));
+  if (NamesType.name != "optional<list<string>>" || NamesType.parameters[0] != ListOf(StringType) ||
+      UnionOf(StringType, IntegerType).name != "union<string | integer>") {
+    panic("Failed type name check");
+  }
+
+  NamesType.check(null);
+  NamesType.check(new List([ "a" ], StringType));
+  NamesType.check(new List([ "a" ], ObjectType));
+  expectPanic(() => NamesType.check(new List([ 1 ], IntegerType)), TypeCheckError);
+  expectPanic(() => UnionOf(StringType, IntegerType).check(true), TypeCheckError);
+  expectPanic(() => MapOf(StringType, IntegerType).check(new Map([[ "a", "b" ]])),
+      TypeCheckError);
+
+  const PointsType = MapOf(StringType, ListOf(PointType));
+  const points = new Map([[ "origin", new List([ PointType.create({ x: 0, y: 0 }) ], PointType) ]]);
+  const copy = PointsType.fromJson(JSON.parse(JSON.stringify(PointsType.toJson(points))));
+  if (!PointsType.equals(points, copy) || copy.get("origin").get(0).x != 0) {
+    panic("Failed JSON round trip check");
+  }
+
+  const UnionType = UnionOf(IntegerType, ListOf(IntegerType));
+  if (UnionType.fromJson(5) != 5 || UnionType.fromJson([ 1, 2 ]).size() != 2) {
+    panic("Failed union JSON check");
+  }
+
+  if (!isSerializableType(PointsType) || isSerializableType(ListOf(ObjectType)) ||
+      isSerializableType(MapOf(IntegerType, StringType))) {
+    panic("Failed serializable type check");
+  }
+
+  const datastore = makeDatastore("parameterizedDatastore", {
+    names: makeBoxed(null, NamesType)
+  });
+  datastore.fromJson({ names: [ "x", "y" ] });
+  if (getValue(datastore.names).get(1) != "y" || datastore.toJson().names.length != 2) {
+    panic("Failed datastore serialization check");
+  }
+}
+
+function testTypeValidation() {
+  expectPanic(() => StringType.check(null), TypeCheckError);
+  expectPanic(() => IntegerType.check(undefined), TypeCheckError);
+
+  const namespace = new Namespace("validationTest");
+  const ThreadType = addRecordType(namespace, "thread", { snippet: StringType });
+  const threads = [ "a", "b", "c", 5 ].map((snippet) => ({ snippet: snippet }));
+
+  const result = ListOf(ThreadType).validateJson(threads, "threadsList");
+  if (result.isValid || result.path != "threadsList[3].snippet" ||
+      result.expectedType != StringType || result.actualValue != 5 ||
+      result.message !=
+          "Type check failed at threadsList[3].snippet: expected string, got 5 (number)") {
+    panic("Failed validation result check");
+  }
+
+  if (!ListOf(ThreadType).validateJson(threads.slice(0, 3), "").isValid ||
+      !Optional(ThreadType).validate(null, "").isValid ||
+      MapOf(StringType, IntegerType).validate(new Map([[ "k", "v" ]]), "map").path != 'map["k"]') {
+    panic("Failed nested validation check");
+  }
+
+  const datastore = makeDatastore("validationDatastore", {
+    threadsList: makeBoxed(new List([], ThreadType), ListOf(ThreadType)),
+    count: makeBoxed(0, IntegerType)
+  });
+  const validation = datastore.validateJson({ threadsList: threads, count: 1 });
+  if (validation.isValid || validation.path != "threadsList[3].snippet") {
+    panic("Failed datastore validation check");
+  }
+  if (datastore.validateJson({ threadsList: [], count: null }).path != "count" ||
+      datastore.validateJson(null).isValid) {
+    panic("Failed datastore field validation check");
+  }
+
+  try {
+    datastore.fromJson({ threadsList: threads, count: 1 });
+    panic("Expected TypeCheckError");
+  } catch (error) {
+    if (!(error instanceof TypeCheckError) || error.context.path != "threadsList[3].snippet") {
+      throw error;
+    }
+  }
+  if (getValue(datastore.count) != 0) {
+    panic("Failed rejected payload check");
+  }
 }
 
 function testDependecies() {
@@ -57,6 +344,743 @@ function testDependecies() {
   }
 }
 
+function testAutomaticDependencies() {
+  const condition = makeBoxed(true, BooleanType);
+  const thenValue = makeBoxed("foo", StringType);
+  const elseValue = makeBoxed("bar", StringType);
+  const result = conditional(condition, thenValue, elseValue);
+
+  var observerCalled = false;
+  observe(result, ForeverLifespan.instance, () => observerCalled = true);
+
+  if (getValue(result) != "foo") {
+    panic("Failed conditional check");
+  }
+
+  setValue(elseValue, "baz");
+  processEventQueues();
+  if (observerCalled) {
+    panic("Failed untracked dependency check");
+  }
+
+  setValue(condition, false);
+  processEventQueues();
+  if (!observerCalled || getValue(result) != "baz") {
+    panic("Failed tracked dependency check");
+  }
+  // Let the zone release the observers of the previous computation.
+  processEventQueues();
+
+  observerCalled = false;
+  setValue(thenValue, "qux");
+  processEventQueues();
+  if (observerCalled) {
+    panic("Failed dropped dependency check");
+  }
+
+  setValue(elseValue, "quux");
+  processEventQueues();
+  if (!observerCalled || getValue(result) != "quux") {
+    panic("Failed new dependency check");
+  }
+}
+
+function testDiamondDependencies() {
+  const x = makeBoxed(true, BooleanType);
+  const alwaysFalse = andOp(notOp(x), x);
+  var observedValues = [];
+  observe(alwaysFalse, ForeverLifespan.instance,
+      () => observedValues.push(getValue(alwaysFalse)));
+  getValue(alwaysFalse);
+
+  setValue(x, false);
+  processEventQueues();
+  setValue(x, true);
+  processEventQueues();
+
+  // The value never changes, so the observer is not triggered.
+  if (observedValues.length != 0) {
+    panic("Failed glitch-free propagation check");
+  }
+
+  const base = makeBoxed(1, IntegerType);
+  var computeCount = 0;
+  const sum = makeComputableReference(() => {
+    computeCount += 1;
+    return getValue(base) + getValue(plusOne) + getValue(timesTwo);
+  }, IntegerType);
+  // Observing base before the other dependencies puts it first in the observer list.
+  sum.observeAndDependsOn(base, ForeverLifespan.instance);
+  const plusOne = makeComputableReference(() => getValue(base) + 1, IntegerType);
+  const timesTwo = makeComputableReference(() => getValue(base) * 2, IntegerType);
+
+  observedValues = [];
+  observe(sum, ForeverLifespan.instance, () => observedValues.push(getValue(sum)));
+  if (getValue(sum) != 5 || sum.getHeight() != 2) {
+    panic("Failed diamond height check");
+  }
+
+  for (const value of [ 2, 3, 4 ]) {
+    computeCount = 0;
+    setValue(base, value);
+    processEventQueues();
+    if (computeCount != 1) {
+      panic("Failed diamond recompute count check");
+    }
+  }
+
+  if (observedValues.length != 3 || observedValues[2] != 4 + 5 + 8) {
+    panic("Failed diamond observer check");
+  }
+
+  // When a dependency gets taller without changing its value, its dependents
+  // are moved up as well, so they are still recomputed after it.
+  const useDeep = makeBoxed(false, BooleanType);
+  const deep = notOp(notOp(notOp(notOp(x))));
+  const middle = makeComputableReference(() => getValue(getValue(useDeep) ? deep : x),
+      BooleanType);
+  const consistent = equalsOp(middle, x);
+  observedValues = [];
+  observe(consistent, ForeverLifespan.instance,
+      () => observedValues.push(getValue(consistent)));
+  getValue(consistent);
+
+  setValue(useDeep, true);
+  processEventQueues();
+  if (middle.getHeight() != deep.getHeight() + 1 ||
+      consistent.getHeight() <= middle.getHeight()) {
+    panic("Failed transitive height check");
+  }
+
+  setValue(x, false);
+  processEventQueues();
+  setValue(x, true);
+  processEventQueues();
+  if (observedValues.length != 0) {
+    panic("Failed transitive glitch check: " + observedValues);
+  }
+}
+
+function testTypeEquality() {
+  var triggerCount = 0;
+  function countTriggers(reference) {
+    observe(reference, ForeverLifespan.instance, () => { triggerCount += 1; });
+  }
+
+  const object = makeBoxed(0, ObjectType);
+  countTriggers(object);
+  setValue(object, "");
+  processEventQueues();
+  if (triggerCount != 1) {
+    panic("Failed identity equality check");
+  }
+
+  triggerCount = 0;
+  const list = makeBoxed(new List([ "a", "b" ], StringType), ListType);
+  countTriggers(list);
+  setValue(list, new List([ "a", "b" ], StringType));
+  processEventQueues();
+  if (triggerCount != 0) {
+    panic("Failed structural equality check");
+  }
+  setValue(list, new List([ "a", "c" ], StringType));
+  processEventQueues();
+  if (triggerCount != 1) {
+    panic("Failed structural inequality check");
+  }
+
+  triggerCount = 0;
+  const namespace = new Namespace("equalityTest");
+  const NameType = addNamespaceType(namespace, "name", (value) => typeof value == "string",
+      (first, second) => first.toLowerCase() == second.toLowerCase());
+  const name = makeBoxed("Cloud", NameType);
+  countTriggers(name);
+  setValue(name, "CLOUD");
+  runInTransaction(() => {
+    setValue(name, "Hello");
+    setValue(name, "cloud");
+  });
+  processEventQueues();
+  if (triggerCount != 0) {
+    panic("Failed custom equality check");
+  }
+
+  triggerCount = 0;
+  const number = makeBoxed(1, IntegerType);
+  const parity = makeComputableReference(() => getValue(number) % 2, IntegerType);
+  countTriggers(parity);
+  getValue(parity);
+  setValue(number, 3);
+  processEventQueues();
+  if (triggerCount != 0) {
+    panic("Failed computed equality check");
+  }
+  setValue(number, 4);
+  processEventQueues();
+  if (triggerCount != 1 || getValue(parity) != 0) {
+    panic("Failed computed inequality check");
+  }
+}
+
+function testObservableList() {
+  const list = makeObservableList([ "a", "b", "c" ], StringType);
+  var changes = [];
+  list.observeChanges(ForeverLifespan.instance, (newChanges) => changes.push(...newChanges));
+
+  const joined = makeComputableReference(() => list.iterate().join(""), StringType);
+  const sizeText = stringJoin(list.sizeReference());
+  if (getValue(joined) != "abc" || getValue(sizeText) != "3") {
+    panic("Failed observable list initial check");
+  }
+
+  list.add("d");
+  list.remove(0);
+  list.move(0, 2);
+  list.replace(1, "e");
+  processEventQueues();
+
+  if (getValue(joined) != "ceb" || getValue(sizeText) != "3" || list.size() != 3) {
+    panic("Failed observable list mutation check");
+  }
+
+  const expected = [ "ListSplice 3 -0 +1", "ListSplice 0 -1 +0", "ListSplice 0 -1 +0",
+      "ListSplice 2 -0 +1", "ListSplice 1 -1 +1" ];
+  if (changes.join() != expected.join()) {
+    panic("Failed observable list change records check: " + changes.join());
+  }
+  if (changes[4].removed[0] != "d" || changes[4].added[0] != "e") {
+    panic("Failed observable list replace record check");
+  }
+
+  expectPanic(() => list.add(42), TypeCheckError);
+  expectPanic(() => list.remove(3));
+  if (list.size() != 3) {
+    panic("Failed observable list type check");
+  }
+}
+
+function listToString(listReference) {
+  return getValue(listReference).iterate().join();
+}
+
+function testObservableMap() {
+  const map = makeObservableMap([[ "a", 1 ], [ "b", 2 ]], StringType, IntegerType);
+  var computeCount = 0;
+  const aPlusOne = makeComputableReference(() => {
+    computeCount += 1;
+    return map.get("a") + 1;
+  }, IntegerType);
+  const keys = map.keysReference();
+  const hasC = map.hasReference("c");
+  var observedKeys = [];
+  observe(keys, ForeverLifespan.instance, () => observedKeys.push(getValue(keys).elements.join()));
+  observe(aPlusOne, ForeverLifespan.instance, () => {});
+
+  if (getValue(aPlusOne) != 2 || getValue(keys).elements.join() != "a,b" || getValue(hasC) ||
+      map.size() != 2) {
+    panic("Failed initial map check");
+  }
+
+  // Changing another key doesn't recompute the value that depends on "a".
+  map.set("b", 3);
+  processEventQueues();
+  if (computeCount != 1 || observedKeys.length != 0) {
+    panic("Failed per-key observation check");
+  }
+
+  map.set("c", 4);
+  map.set("a", 5);
+  processEventQueues();
+  if (getValue(aPlusOne) != 6 || !getValue(hasC) || observedKeys.join(";") != "a,b,c" ||
+      getValue(map.sizeReference()) != 3) {
+    panic("Failed map update check");
+  }
+
+  expectPanic(() => map.set("d", "x"), TypeCheckError);
+  expectPanic(() => map.set(1, 1), TypeCheckError);
+
+  map.delete("a");
+  processEventQueues();
+  if (map.get("a") != null || map.has("a") || getValue(aPlusOne) != 1) {
+    panic("Failed map delete check");
+  }
+
+  if (!MapOf(StringType, IntegerType).isInstance(map) ||
+      MapOf(StringType, StringType).isInstance(map)) {
+    panic("Failed map type check");
+  }
+
+  const datastore = makeDatastore("mapDatastore", {
+    scores: makeObservableMap([[ "x", 1 ]], StringType, IntegerType)
+  });
+  var observedX = 0;
+  datastore.scores.observeKey("x", ForeverLifespan.instance, () => { observedX += 1; });
+  datastore.fromJson({ scores: { x: 1, y: 2 } });
+  processEventQueues();
+  if (observedX != 0 || datastore.scores.get("y") != 2 || datastore.toJson().scores.y != 2 ||
+      !(datastore.getMember("scores") instanceof Field)) {
+    panic("Failed datastore map check");
+  }
+  datastore.fromJson({ scores: { y: 3 } });
+  processEventQueues();
+  if (observedX != 1 || datastore.scores.has("x") || datastore.scores.size() != 1) {
+    panic("Failed datastore map update check");
+  }
+
+  // Value References are released when their observers are gone.
+  const scores = makeObservableMap([[ "a", 1 ]], StringType, IntegerType);
+  const keySpan = ForeverLifespan.instance.makeSubSpan();
+  const valueA = scores.valueReference("a");
+  var observedA = 0;
+  valueA.observe(keySpan, () => { observedA += 1; });
+  if (scores.get("b") != null || scores.valueBoxes.has("b") || !scores.valueBoxes.has("a")) {
+    panic("Failed map value reference check");
+  }
+  keySpan.finish();
+  processEventQueues();
+  if (scores.valueBoxes.size != 0) {
+    panic("Failed map value release check");
+  }
+
+  scores.set("a", 2);
+  valueA.observe(ForeverLifespan.instance, () => { observedA += 1; });
+  scores.set("a", 3);
+  processEventQueues();
+  if (getValue(valueA) != 3 || observedA != 1 || scores.valueReference("a") != valueA) {
+    panic("Failed map value reattach check");
+  }
+
+  // References that are only read aren't updated by the map.
+  const counts = makeObservableMap([[ "a", 1 ]], StringType, IntegerType);
+  const countA = counts.valueReference("a");
+  if (getValue(countA) != 1 || counts.valueBoxes.size != 0) {
+    panic("Failed map unobserved reference check");
+  }
+  counts.set("a", 2);
+  counts.delete("a");
+  if (getValue(countA) != null || counts.valueBoxes.size != 0) {
+    panic("Failed map unobserved update check");
+  }
+}
+
+function testListCombinators() {
+  const numbers = makeObservableList([ 5, 2, 8, 1 ], IntegerType);
+  const doubled = mapList(numbers, (n) => n * 2, IntegerType);
+  const even = filterList(numbers, (n) => n % 2 == 0);
+  const sorted = sortList(numbers);
+  const sum = reduceList(numbers, (total, n) => total + n, 0, IntegerType);
+
+  if (listToString(doubled) != "10,4,16,2" || listToString(even) != "2,8" ||
+      listToString(sorted) != "1,2,5,8" || getValue(sum) != 16) {
+    panic("Failed list combinators initial check");
+  }
+
+  numbers.add(4);
+  numbers.remove(1);
+  numbers.replace(0, 6);
+  numbers.insert(1, 3);
+  processEventQueues();
+
+  // numbers: 6, 3, 8, 1, 4
+  if (listToString(doubled) != "12,6,16,2,8" || listToString(even) != "6,8,4" ||
+      listToString(sorted) != "1,3,4,6,8" || getValue(sum) != 22) {
+    panic("Failed list combinators incremental check");
+  }
+
+  // Derived lists are consistent with the source before the zone runs.
+  const sortedEven = sortList(even.getValue());
+  numbers.add(2);
+  numbers.remove(0);
+  if (listToString(doubled) != "6,16,2,8,4" || listToString(even) != "8,4,2" ||
+      listToString(sorted) != "1,2,3,4,8" || listToString(sortedEven) != "2,4,8") {
+    panic("Failed list combinators read check");
+  }
+  processEventQueues();
+  if (listToString(doubled) != "6,16,2,8,4" || listToString(sortedEven) != "2,4,8" ||
+      getValue(sum) != 18) {
+    panic("Failed list combinators delivery check");
+  }
+
+  const boxedList = makeBoxed(new List([ "b", "c", "a" ], StringType), ListType);
+  const upperCase = mapList(boxedList, (s) => s.toUpperCase(), StringType);
+  const sortedStrings = sortList(boxedList);
+  if (listToString(upperCase) != "B,C,A" || listToString(sortedStrings) != "a,b,c") {
+    panic("Failed list combinators reference check");
+  }
+
+  setValue(boxedList, new List([ "z", "y" ], StringType));
+  processEventQueues();
+  if (listToString(upperCase) != "Z,Y" || listToString(sortedStrings) != "y,z") {
+    panic("Failed list combinators recompute check");
+  }
+
+  // Elements that aren't equal to themselves, such as NaN, are removed, too.
+  const values = makeObservableList([ 3, NaN, 1 ], ObjectType);
+  const sortedValues = sortList(values, (first, second) => first - second);
+  values.remove(1);
+  values.add(2);
+  values.remove(0);
+  if (listToString(sortedValues) != "1,2") {
+    panic("Failed list combinators NaN check: " + listToString(sortedValues));
+  }
+}
+
+function testFormatOp() {
+  setValue(getFormatLocale(), "en-US");
+  const count = makeBoxed(1, IntegerType);
+  const lifespan = new Lifespan(new TestZone());
+  const pressed = formatOp("Pressed {0, plural, =0 {never} one {# time} other {# times}}.",
+      count, lifespan);
+
+  const results = [];
+  for (const value of [ 1, 0, 2, 1234 ]) {
+    setValue(count, value);
+    lifespan.zone.runUntilIdle();
+    results.push(getValue(pressed));
+  }
+  if (results.join("|") !=
+      "Pressed 1 time.|Pressed never.|Pressed 2 times.|Pressed 1,234 times.") {
+    panic("Failed plural check: " + results.join("|"));
+  }
+
+  const name = makeBoxed("Ann", StringType);
+  const greeting = formatOp("{greeting}, {name}! {role, select, admin {Welcome back.} other {}}",
+      { greeting: "Hello", name: name, role: "admin" });
+  setValue(name, "Bob");
+  if (getValue(greeting) != "Hello, Bob! Welcome back.") {
+    panic("Failed named argument check");
+  }
+
+  if (getValue(formatOp("{1}/{0}: {2, number} {3, number, percent}", "a", "b", 1234.5, 0.25)) !=
+      "b/a: 1,234.5 25%") {
+    panic("Failed positional argument check");
+  }
+
+  const price = formatOp("{0, number} {1, plural, one {item} other {items}}", 1234.5, 2,
+      lifespan);
+  getValue(price);
+  setValue(getFormatLocale(), "de-DE");
+  lifespan.zone.runUntilIdle();
+  if (getValue(price) != "1.234,5 items") {
+    panic("Failed locale check: " + getValue(price));
+  }
+  setValue(getFormatLocale(), "en-US");
+
+  expectPanic(() => getValue(formatOp("{name}", "not an object")), ArgumentError);
+  expectPanic(() => formatOp("{0, plural, one {x}}", 1), ParseError);
+  expectPanic(() => formatOp("{0"), ParseError);
+  expectPanic(() => formatOp("a}"), ParseError);
+
+  const template = makeBoxed("{0} items", StringType);
+  const items = formatOp(template, count, lifespan);
+  getValue(items);
+  setValue(template, "{0, plural, one {# item} other {# items}} left");
+  lifespan.zone.runUntilIdle();
+  if (getValue(items) != "1,234 items left") {
+    panic("Failed template reference check: " + getValue(items));
+  }
+  setValue(template, "{0");
+  lifespan.zone.runUntilIdle();
+  expectPanic(() => getValue(items), ParseError);
+
+  const joined = stringJoin("a", count, lifespan);
+  if (joined.lifespan != lifespan || getValue(joined) != "a1234") {
+    panic("Failed stringJoin lifespan check");
+  }
+}
+
+function testTransactions() {
+  const first = makeBoxed(1, IntegerType);
+  const second = makeBoxed(2, IntegerType);
+  const sum = makeComputableReference(() => getValue(first) + getValue(second), IntegerType);
+  const observedSums = [];
+  observe(sum, ForeverLifespan.instance, () => observedSums.push(getValue(sum)));
+  getValue(sum);
+
+  runInTransaction(() => {
+    setValue(first, 10);
+    setValue(second, 20);
+    runInTransaction(() => setValue(first, 100));
+  });
+  processEventQueues();
+  if (observedSums.join() != "120") {
+    panic("Failed transaction commit check");
+  }
+
+  expectPanic(() => runInTransaction(() => {
+    setValue(first, 5);
+    panic("Transaction failed");
+  }));
+  processEventQueues();
+  if (getValue(first) != 100 || observedSums.length != 1) {
+    panic("Failed transaction rollback check");
+  }
+
+  runInTransaction(() => {
+    try {
+      runInTransaction(() => {
+        setValue(second, 50);
+        panic("Nested transaction failed");
+      });
+    } catch (e) {
+    }
+    setValue(first, 200);
+  });
+  processEventQueues();
+  if (getValue(second) != 20 || observedSums.join() != "120,220") {
+    panic("Failed nested transaction rollback check");
+  }
+
+  // Derived values are up to date within the transaction.
+  const doubledSum = makeComputableReference(() => getValue(sum) * 2, IntegerType);
+  getValue(doubledSum);
+  runInTransaction(() => {
+    setValue(second, 30);
+    if (getValue(sum) != 230 || getValue(doubledSum) != 460) {
+      panic("Failed transaction read check");
+    }
+  });
+  processEventQueues();
+  if (getValue(doubledSum) != 460 || observedSums.join() != "120,220,230") {
+    panic("Failed transaction read commit check");
+  }
+
+  // Values computed from the writes of a rolled back transaction aren't cached.
+  const base = makeBoxed(1, IntegerType);
+  const tenfold = makeComputableReference(() => getValue(base) * 10, IntegerType);
+  const hundredfold = makeComputableReference(() => getValue(tenfold) * 10, IntegerType);
+  for (var i = 0; i < 2; ++i) {
+    expectPanic(() => runInTransaction(() => {
+      setValue(base, 5);
+      if (getValue(hundredfold) != 500 || getValue(tenfold) != 50) {
+        panic("Failed transaction uncommitted read check");
+      }
+      panic("Transaction failed");
+    }));
+    processEventQueues();
+    if (getValue(base) != 1 || getValue(tenfold) != 10 || getValue(hundredfold) != 100) {
+      panic("Failed transaction rollback recompute check");
+    }
+    // The second time, the references already observe the written value.
+    setValue(base, 2);
+    setValue(base, 1);
+  }
+
+  // Transactions in other zones don't defer the observers.
+  const zone = new TestZone();
+  const zoneLifespan = new ForeverLifespan(zone);
+  var zoneObserverCount = 0;
+  observe(second, zoneLifespan, () => zoneObserverCount += 1);
+  runInTransaction(() => {
+    zone.scheduleAction(() => setValue(second, 40), zoneLifespan);
+    zone.runUntilIdle();
+    if (zoneObserverCount != 1) {
+      panic("Failed transaction zone check");
+    }
+  });
+  processEventQueues();
+  zone.transaction(() => {
+    setValue(second, 20);
+    if (zone.getPendingTaskCount() != 0) {
+      panic("Failed zone transaction check");
+    }
+  });
+  zone.runUntilIdle();
+  processEventQueues();
+  if (zoneObserverCount != 2 || observedSums.join() != "120,220,230,240,220") {
+    panic("Failed zone transaction commit check");
+  }
+
+  const store = makeDatastore("transactionTest", {
+    x: makeBoxed(0, IntegerType),
+    y: makeBoxed(0, IntegerType),
+    update: makeConstantReference(() => {
+      setValue(store.x, getValue(store.x) + 1);
+      setValue(store.y, getValue(store.x) * 2);
+    }, FunctionType)
+  });
+  var observerCount = 0;
+  store.observeAll(ForeverLifespan.instance, () => observerCount += 1);
+  store.getMember("update").call([]);
+  if (observerCount != 0) {
+    panic("Failed datastore method transaction check");
+  }
+  processEventQueues();
+  if (observerCount != 1 || getValue(store.y) != 2) {
+    panic("Failed datastore method transaction commit check");
+  }
+}
+
+function testErrorHandling() {
+  const lifespan = ForeverLifespan.instance.makeSubSpan();
+  const subSpan = lifespan.makeSubSpan();
+  const errors = [];
+  lifespan.setErrorHandler((error) => errors.push(error));
+
+  const boxed = makeBoxed(1, IntegerType);
+  var secondObserverCalled = false;
+  observe(boxed, subSpan, () => StringType.check(getValue(boxed)));
+  observe(boxed, subSpan, () => secondObserverCalled = true);
+  subSpan.zone.scheduleAction(() => panic(new SyncError("Action failed")), subSpan);
+
+  setValue(boxed, 2);
+  processEventQueues();
+
+  if (errors.length != 2 || !(errors[0] instanceof TypeCheckError) ||
+      errors[0].context.value != 2 || errors[0].context.type != StringType ||
+      !(errors[1] instanceof SyncError)) {
+    panic("Failed lifespan error handler check");
+  }
+  if (!secondObserverCalled || subSpan.zone.processingScheduled) {
+    panic("Failed processing after error check");
+  }
+  lifespan.finish();
+  processEventQueues();
+
+  const zone = new Zone();
+  const zoneErrors = [];
+  zone.setErrorHandler((error) => zoneErrors.push(error));
+  zone.scheduleAction(() => panic("Zone action failed"));
+  zone.processQueues();
+  if (zoneErrors.length != 1 || !(zoneErrors[0] instanceof PanicError) ||
+      zoneErrors[0].message != "Zone action failed") {
+    panic("Failed zone error handler check");
+  }
+
+  expectPanic(() => ForeverLifespan.instance.finish(), LifecycleError);
+  expectPanic(() => IntegerType.check("1"), TypeCheckError);
+  expectPanic(() => new Namespace("elements"), ReflectionError);
+
+  const synced = makeBoxed(0, IntegerType);
+  synced.setSyncFunction(() => { });
+  expectPanic(() => synced.setSyncFunction(() => { }), ConfigurationError);
+
+  // Panics are passed to the panic handler even if they are caught.
+  const panics = [];
+  setPanicHandler((error) => panics.push(error));
+  try {
+    expectPanic(() => IntegerType.check("2"), TypeCheckError);
+  } finally {
+    setPanicHandler((error) => { });
+  }
+  if (panics.length != 1 || !(panics[0] instanceof TypeCheckError)) {
+    panic("Failed panic handler check");
+  }
+}
+
+function testTestZone() {
+  const zone = new TestZone(1000);
+  const lifespan = new ForeverLifespan(zone);
+  const events = [];
+
+  zone.scheduleDelayedAction(() => events.push("late:" + zone.now()), 200, lifespan);
+  zone.scheduleDelayedAction(() => events.push("early:" + zone.now()), 100, lifespan);
+  zone.scheduleAction(() => events.push("now:" + zone.now()), lifespan);
+
+  if (zone.getPendingTaskCount() != 1 || zone.getPendingTimerDelays().join() != "100,200") {
+    panic("Failed test zone pending tasks check");
+  }
+
+  zone.runUntilIdle();
+  zone.advanceBy(150);
+  if (events.join() != "now:1000,early:1100" || zone.now() != 1150) {
+    panic("Failed test zone advance check");
+  }
+
+  zone.advanceBy(50);
+  if (events.join() != "now:1000,early:1100,late:1200" ||
+      zone.getPendingTimerDelays().length != 0) {
+    panic("Failed test zone timer check");
+  }
+}
+
+class FakeTransport {
+  constructor() {
+    this.requests = [];
+  }
+
+  startRequest(requestType, payload, callback, errorCallback) {
+    this.requests.push({ requestType: requestType, payload: payload, callback: callback,
+        errorCallback: errorCallback });
+  }
+
+  lastRequest() {
+    return this.requests[this.requests.length - 1];
+  }
+}
+
+function testDatastoreSync() {
+  const zone = new TestZone();
+  const lifespan = new ForeverLifespan(zone);
+  const store = makeDatastore("syncTest", { value: makeBoxed(1, IntegerType) });
+  const transport = new FakeTransport();
+  new DatastoreSync(store, true, transport);
+
+  sync(store, Priority.NORMAL, lifespan);
+  zone.runUntilIdle();
+  if (transport.requests.length != 1 || transport.lastRequest().requestType != PULL_REQUEST) {
+    panic("Failed initial pull check");
+  }
+
+  transport.lastRequest().callback('{"value": 5}');
+  zone.runUntilIdle();
+  if (getValue(store.value) != 5 || getValue(store.syncStatus) != SyncStatus.ONLINE) {
+    panic("Failed pull response check");
+  }
+
+  zone.advanceBy(SYNC_INTERVAL_MS - 1);
+  if (transport.requests.length != 1) {
+    panic("Failed poll interval check");
+  }
+  zone.advanceBy(1);
+  if (transport.requests.length != 2) {
+    panic("Failed poll check");
+  }
+
+  transport.lastRequest().errorCallback(new SyncError("Request PULL failed."));
+  zone.runUntilIdle();
+  if (getValue(store.syncStatus) != SyncStatus.OFFLINE) {
+    panic("Failed pull error check");
+  }
+  zone.advanceBy(SYNC_INTERVAL_MS);
+  if (transport.requests.length != 3 || transport.lastRequest().requestType != PULL_REQUEST) {
+    panic("Failed retry check");
+  }
+
+  transport.lastRequest().callback('{"value": 5}');
+  setValue(store.value, 7);
+  zone.runUntilIdle();
+  if (transport.requests.length != 4 || transport.lastRequest().requestType != PUSH_REQUEST ||
+      transport.lastRequest().payload != '{"value":7}') {
+    panic("Failed push check");
+  }
+
+  transport.lastRequest().callback("Ok");
+  zone.advanceBy(SYNC_INTERVAL_MS);
+  if (transport.requests.length != 5 || transport.lastRequest().requestType != PULL_REQUEST ||
+      getValue(store.syncStatus) != SyncStatus.ONLINE) {
+    panic("Failed poll after push check");
+  }
+
+  // A push rejected by the server is not retried.
+  transport.lastRequest().callback('{"value": 7}');
+  setValue(store.value, 8);
+  zone.runUntilIdle();
+  transport.lastRequest().errorCallback(
+      new SyncError("Request PUSH failed (status: 400).", { status: 400 }));
+  zone.advanceBy(SYNC_INTERVAL_MS);
+  if (getValue(store.syncStatus) != SyncStatus.REJECTED || transport.requests.length != 7 ||
+      transport.lastRequest().requestType != PULL_REQUEST) {
+    panic("Failed push rejection check");
+  }
+
+  transport.lastRequest().callback('{"value": 7}');
+  zone.runUntilIdle();
+  if (getValue(store.value) != 7 || getValue(store.syncStatus) != SyncStatus.ONLINE) {
+    panic("Failed pull after rejection check");
+  }
+}
+
 function testSync() {
   let boxed = makeBoxed("foo", StringType);
   var syncCalled = false;
@@ -83,6 +1107,719 @@ function testSync() {
   }
 }
 
+function testLifespanTracker() {
+  const tracker = enableLifespanDebugging();
+  try {
+    const rootSpan = new Lifespan(new TestZone());
+    rootSpan.setName("root");
+    const leaky = makeBoxed(0, IntegerType);
+    leaky.setName("leaky");
+    const tidy = makeBoxed(0, IntegerType);
+    tidy.setName("tidy");
+
+    var renderSpan = null;
+    for (var i = 0; i < 3; ++i) {
+      // Simulate a re-render: the leaky observer is registered with the parent lifespan.
+      if (renderSpan != null) {
+        renderSpan.finish();
+      }
+      renderSpan = rootSpan.makeSubSpan("render");
+      leaky.observe(rootSpan, function() { });
+      tidy.observe(renderSpan, function() { });
+      rootSpan.zone.runUntilIdle();
+      tracker.recordSnapshot();
+    }
+
+    if (tracker.getLiveCount() != 2) {
+      panic("Failed live lifespan count check");
+    }
+
+    const dump = tracker.dumpTree();
+    if (!dump.includes("Lifespan root") || !dump.includes("  Lifespan render") ||
+        !dump.includes("leaky 0: 3 of 3 observers")) {
+      panic("Failed lifespan tree check");
+    }
+
+    // The creation stack starts with the caller, in V8 stack format.
+    const rootStack = tracker.liveLifespans.get(rootSpan).creationStack;
+    if (!rootStack.startsWith("at testLifespanTracker")) {
+      panic("Failed creation stack check");
+    }
+
+    const computed = makeComputableReference(() => getValue(tidy), IntegerType, rootSpan);
+    computed.setName("computed");
+    getValue(computed);
+    if (computed.trackingSpan.name != "tracking computed") {
+      panic("Failed tracking lifespan name check");
+    }
+
+    const growing = tracker.findGrowingReferences(3);
+    if (growing.length != 1 || growing[0].reference != leaky) {
+      panic("Failed growing references check");
+    }
+
+    rootSpan.finish();
+    rootSpan.zone.runUntilIdle();
+    if (tracker.getLiveCount() != 0 || leaky.observers.length != 0 || tidy.observers.length != 0) {
+      panic("Failed finished lifespans check");
+    }
+  } finally {
+    disableLifespanDebugging();
+  }
+
+  const untracked = makeComputableReference(() => 1, IntegerType);
+  getValue(untracked);
+  if (untracked.trackingSpan.name != null) {
+    panic("Failed untracked lifespan name check");
+  }
+}
+
+function testDependencyGraph() {
+  const x = makeBoxed(false, BooleanType);
+  x.setName("x");
+  const both = andOp(notOp(x), x);
+  both.setName("both");
+
+  // Nothing has been computed yet, so the dependencies are not known.
+  const graph = exportDependencyGraph(both);
+  if (graph.nodes.length != 1 || graph.nodes[0].name != "both" ||
+      graph.nodes[0].value != "<needs recompute>") {
+    panic("Failed graph root check");
+  }
+
+  getValue(both);
+  const computedGraph = exportDependencyGraph(both);
+  if (computedGraph.nodes.length != 3 || computedGraph.edges.length != 3) {
+    panic("Failed graph shape check");
+  }
+  const xNode = computedGraph.nodes.find((node) => node.name == "x");
+  if (computedGraph.nodes[0].value != "false" || xNode.value != "false" ||
+      xNode.type != "elements:boolean" || xNode.height != 0) {
+    panic("Failed graph values check");
+  }
+
+  const dot = dumpDependencyGraph(both, "dot");
+  if (!dot.startsWith("digraph") || !dot.includes("n0 -> n1;") ||
+      !dot.includes("label=\"x\\nelements:boolean = false\"")) {
+    panic("Failed DOT format check");
+  }
+
+  if (JSON.parse(dumpDependencyGraph(both)).nodes.length != 3) {
+    panic("Failed JSON format check");
+  }
+
+  // Exporting the graph doesn't apply the pending changes of derived lists.
+  const numbers = makeObservableList([ 1, 2 ], IntegerType);
+  const doubled = mapList(numbers, (n) => n * 2, IntegerType);
+  numbers.add(3);
+  if (exportDependencyGraph(doubled).nodes[0].value != "DerivedList[2]" ||
+      doubled.getValue().elements.length != 2) {
+    panic("Failed graph list check");
+  }
+  processEventQueues();
+}
+
+function testUndoHistory() {
+  const lifespan = new Lifespan(new TestZone());
+  const zone = lifespan.zone;
+  const first = makeBoxed("a", StringType);
+  const second = makeBoxed(1, IntegerType);
+  const history = new UndoHistory(lifespan, 2);
+  history.track(first);
+  history.track(second);
+
+  runInTransaction(() => {
+    setValue(first, "b");
+    setValue(second, 2);
+  }, lifespan);
+  zone.runUntilIdle();
+  zone.scheduleAction(() => setValue(first, "c"), lifespan);
+  zone.runUntilIdle();
+
+  if (!getValue(history.canUndo) || getValue(history.canRedo)) {
+    panic("Failed initial status check");
+  }
+
+  history.undo();
+  zone.runUntilIdle();
+  if (getValue(first) != "b" || getValue(second) != 2) {
+    panic("Failed first undo check");
+  }
+
+  history.undo();
+  zone.runUntilIdle();
+  if (getValue(first) != "a" || getValue(second) != 1 ||
+      getValue(history.canUndo) || !getValue(history.canRedo)) {
+    panic("Failed grouped undo check");
+  }
+
+  history.redo();
+  zone.runUntilIdle();
+  if (getValue(first) != "b" || getValue(second) != 2) {
+    panic("Failed redo check");
+  }
+
+  // Each action gets its own group, even if the actions are processed together.
+  zone.scheduleAction(() => setValue(first, "x"), lifespan);
+  zone.scheduleAction(() => setValue(second, 7), lifespan);
+  zone.runUntilIdle();
+  history.undo();
+  zone.runUntilIdle();
+  if (getValue(first) != "x" || getValue(second) != 2) {
+    panic("Failed action group check");
+  }
+  history.undo();
+  zone.runUntilIdle();
+
+  // A new change discards the redo stack.
+  setValue(second, 3);
+  zone.runUntilIdle();
+  setValue(second, 4);
+  zone.runUntilIdle();
+  if (getValue(history.canRedo) || history.undoStack.length != 2) {
+    panic("Failed history size check");
+  }
+
+  const datastore = makeDatastore("historyTest", { value: makeBoxed(1, IntegerType) });
+  trackDatastoreHistory(datastore, lifespan);
+  datastore.fromJson({ value: 5 });
+  zone.runUntilIdle();
+  if (getValue(datastore.canUndo)) {
+    panic("Failed pulled changes check");
+  }
+
+  zone.scheduleAction(() => setValue(datastore.value, 6), lifespan);
+  zone.runUntilIdle();
+  datastore.getMember("undo").call([]);
+  zone.runUntilIdle();
+  if (getValue(datastore.value) != 5 || !getValue(datastore.getMember("canRedo").fieldReference)) {
+    panic("Failed datastore undo check");
+  }
+
+  var loadCount = 0;
+  const loadSpan = lifespan.makeSubSpan();
+  datastore.observeLoads(loadSpan, () => loadCount += 1);
+  datastore.fromJson({ value: 8 });
+  loadSpan.finish();
+  zone.runUntilIdle();
+  datastore.fromJson({ value: 9 });
+  if (loadCount != 1) {
+    panic("Failed datastore load observer check");
+  }
+}
+
+function makeFakePromise() {
+  const promise = {
+    then(resolve, reject) {
+      promise.resolve = resolve;
+      promise.reject = reject;
+    }
+  };
+  return promise;
+}
+
+function testAsyncReference() {
+  const lifespan = new Lifespan(new TestZone());
+  const zone = lifespan.zone;
+  const input = makeBoxed(1, IntegerType);
+  const promises = [];
+
+  const asyncReference = makeAsyncComputable(function(invocationSpan) {
+    const promise = makeFakePromise();
+    promise.input = getValue(input);
+    invocationSpan.onFinish(() => { promise.isCancelled = true; });
+    promises.push(promise);
+    return promise;
+  }, IntegerType, lifespan);
+
+  if (getValue(asyncReference.status) != AsyncStatus.IDLE ||
+      asyncReference.value.type != Optional(IntegerType)) {
+    panic("Failed idle status check");
+  }
+
+  zone.runUntilIdle();
+  if (getValue(asyncReference.status) != AsyncStatus.LOADING || promises.length != 1) {
+    panic("Failed loading status check");
+  }
+
+  promises[0].resolve(10);
+  if (getValue(asyncReference.status) != AsyncStatus.READY ||
+      getValue(asyncReference.value) != 10) {
+    panic("Failed ready status check");
+  }
+
+  setValue(input, 2);
+  zone.runUntilIdle();
+  setValue(input, 3);
+  zone.runUntilIdle();
+  if (promises.length != 3 || promises[2].input != 3 || !promises[1].isCancelled) {
+    panic("Failed reinvocation check");
+  }
+
+  // The stale result is ignored.
+  promises[1].resolve(20);
+  if (getValue(asyncReference.status) != AsyncStatus.LOADING ||
+      getValue(asyncReference.value) != 10) {
+    panic("Failed stale result check");
+  }
+
+  promises[2].reject(new Error("Request failed"));
+  if (getValue(asyncReference.status) != AsyncStatus.ERROR ||
+      getValue(asyncReference.error).message != "Request failed" ||
+      getValue(asyncReference.value) != 10) {
+    panic("Failed error status check");
+  }
+
+  asyncReference.refresh();
+  promises[3].resolve("not an integer");
+  if (getValue(asyncReference.status) != AsyncStatus.ERROR ||
+      !(getValue(asyncReference.error) instanceof TypeCheckError)) {
+    panic("Failed result type check");
+  }
+
+  asyncReference.refresh();
+  lifespan.finish();
+  zone.runUntilIdle();
+  if (!promises[4].isCancelled || getValue(asyncReference.status) != AsyncStatus.IDLE) {
+    panic("Failed cancellation check");
+  }
+}
+
+function testTimeOperators() {
+  const lifespan = new Lifespan(new TestZone(1000));
+  const zone = lifespan.zone;
+  const input = makeBoxed("a", StringType);
+  const debounced = debounceOp(input, 150, lifespan);
+  const throttled = throttleOp(input, 100, lifespan);
+  const delayed = delayOp(input, 100, lifespan);
+  const clock = clockReference(1000, lifespan);
+
+  function check(debouncedValue, throttledValue, delayedValue, message) {
+    if (getValue(debounced) != debouncedValue || getValue(throttled) != throttledValue ||
+        getValue(delayed) != delayedValue) {
+      panic("Failed " + message + " check");
+    }
+  }
+
+  check("a", "a", "a", "initial");
+
+  setValue(input, "b");
+  zone.advanceBy(60);
+  check("a", "b", "a", "first change");
+
+  setValue(input, "c");
+  zone.advanceBy(60);
+  // The throttled value is updated 100ms after "b"; "b" is delayed until 100ms.
+  check("a", "c", "b", "second change");
+
+  zone.advanceBy(60);
+  check("a", "c", "c", "delayed");
+
+  zone.advanceBy(60);
+  check("c", "c", "c", "debounced");
+
+  if (getValue(clock) != 1000) {
+    panic("Failed initial clock check");
+  }
+  zone.advanceBy(1000);
+  if (getValue(clock) != 2000) {
+    panic("Failed clock tick check");
+  }
+
+  lifespan.finish();
+  zone.runUntilIdle();
+  setValue(input, "d");
+  zone.advanceBy(5000);
+  if (getValue(debounced) != "c" || zone.getPendingTimerDelays().length != 0) {
+    panic("Failed finished lifespan check");
+  }
+}
+
+function testPersistentBoxed() {
+  const lifespan = new Lifespan(new TestZone());
+  const storage = new MemoryPersistentStorage();
+  const first = makePersistentBoxed("test.flag", false, BooleanType, lifespan, storage);
+  if (getValue(first) != false || storage.getItem("test.flag") != null) {
+    panic("Failed initial value check");
+  }
+
+  setValue(first, true);
+  lifespan.zone.runUntilIdle();
+  if (storage.getItem("test.flag") != "true") {
+    panic("Failed write check");
+  }
+
+  // Another tab loads the stored value, and its changes are propagated.
+  const second = makePersistentBoxed("test.flag", false, BooleanType, lifespan, storage);
+  if (getValue(second) != true) {
+    panic("Failed load check");
+  }
+  setValue(second, false);
+  lifespan.zone.runUntilIdle();
+  if (getValue(first) != false) {
+    panic("Failed storage event check");
+  }
+
+  const errors = [];
+  lifespan.setErrorHandler((error) => errors.push(error));
+  storage.setItem("test.count", "\"not a number\"");
+  const count = makePersistentBoxed("test.count", 7, IntegerType, lifespan, storage);
+  storage.setItem("test.list", "[1, 2");
+  const list = makePersistentBoxed("test.list", null, Optional(ListOf(IntegerType)), lifespan,
+      storage);
+  if (getValue(count) != 7 || getValue(list) != null || errors.length != 2 ||
+      !(errors[0] instanceof TypeCheckError) || errors[1].context.key != "test.list") {
+    panic("Failed corrupted value check");
+  }
+
+  setValue(list, new List([ 1, 2 ], IntegerType));
+  lifespan.zone.runUntilIdle();
+  const listCopy = makePersistentBoxed("test.list", null, Optional(ListOf(IntegerType)),
+      lifespan, storage);
+  if (getValue(listCopy).get(1) != 2) {
+    panic("Failed list persistence check");
+  }
+
+  lifespan.finish();
+  lifespan.zone.runUntilIdle();
+  if (storage.listeners.length != 0) {
+    panic("Failed listener cleanup check");
+  }
+}
+
+function testViewLifespans() {
+  const rootSpan = new Lifespan(new TestZone());
+  const zone = rootSpan.zone;
+  const label = makeBoxed("x", StringType);
+  const isVisible = makeBoxed(true, BooleanType);
+  const items = makeBoxed(new List([ "a", "b" ], StringType), ListOf(StringType));
+
+  // The views are rendered separately: ContainerView re-renders all of its children.
+  const views = [
+    makeVisibleView(makeDivView(makeTextView(label, Styles.Label)), isVisible),
+    makeListView(items, (item, lifespan) => makeTextView(stringJoin(label, item, lifespan)),
+        makeTextView(label))
+  ];
+
+  function observerCounts() {
+    return [ label, isVisible, items ].map((boxed) => boxed.observers.length).join(",");
+  }
+
+  for (var i = 0; i < 3; ++i) {
+    const renderSpan = rootSpan.makeSubSpan("render");
+    const body = new FakeNode("body");
+    const renderedViews = views.map((view) => view.render(renderSpan));
+    const updateBody =
+        () => body.replaceChildren(...renderedViews.map((rendered) => getValue(rendered)));
+    for (const rendered of renderedViews) {
+      observe(rendered, renderSpan, updateBody);
+    }
+    updateBody();
+    zone.runUntilIdle();
+    if (body.getText() != "xxaxb") {
+      panic("Failed view rendering check");
+    }
+
+    const baseline = observerCounts();
+    for (var j = 0; j < 5; ++j) {
+      setValue(isVisible, false);
+      zone.runUntilIdle();
+      setValue(items, new List(j % 2 == 0 ? [] : [ "c" ], StringType));
+      zone.runUntilIdle();
+      setValue(items, new List([ "a", "b" ], StringType));
+      setValue(isVisible, true);
+      zone.runUntilIdle();
+      if (observerCounts() != baseline) {
+        panic("Failed observer count check: " + observerCounts() + " vs " + baseline);
+      }
+    }
+    if (body.getText() != "xxaxb") {
+      panic("Failed view update check");
+    }
+
+    renderSpan.finish();
+    zone.runUntilIdle();
+    if (observerCounts() != "0,0,0") {
+      panic("Failed finished view check: " + observerCounts());
+    }
+  }
+
+  if (rootSpan.callbacks.length != 0) {
+    panic("Failed finished subspan callbacks check");
+  }
+}
+
+function testNamespaces() {
+  const registry = Namespace.registry.makeScope();
+
+  for (var i = 0; i < 2; ++i) {
+    const scope = registry.makeScope();
+    const mail = scope.use(() => new Namespace("mail"));
+    const labels = scope.use(() => new Namespace("labels", mail));
+    const inbox = new Field(labels, "inbox", makeConstantReference("Inbox", StringType));
+    labels.addMember(inbox);
+
+    if (labels.qualifiedName != "mail.labels" || mail.getSubNamespace("labels") != labels ||
+        inbox.toString() != "Field mail.labels:inbox") {
+      panic("Failed qualified name check");
+    }
+
+    if (scope.lookup("mail.labels") != labels || scope.lookup("elements") != elementsNamespace ||
+        Namespace.registry.lookup("mail") != null) {
+      panic("Failed registry lookup check");
+    }
+
+    expectPanic(() => scope.use(() => new Namespace("labels", mail)), ReflectionError);
+    expectPanic(() => new Namespace("mail.labels"), ReflectionError);
+
+    const context = new ParserContext(
+        { imports: [ "mail.labels" ], aliases: { ml: "mail.labels", m: "mail" } }, scope);
+    for (const expression of [ "mail.labels:inbox", "ml:inbox", "m.labels:inbox", "inbox" ]) {
+      const construct = parseExpression(expression, context);
+      if (!(construct instanceof FieldConstruct) || construct.field != inbox) {
+        panic("Failed namespace resolution check for " + expression);
+      }
+    }
+    if (!(parseExpression("mail:inbox", context) instanceof ErrorConstruct) ||
+        !(parseExpression("views:makeTextView", context) instanceof MethodConstruct)) {
+      panic("Failed namespace resolution check");
+    }
+    expectPanic(() => new ParserContext({ imports: [ "mail.other" ] }, scope), ParseError);
+
+    mail.unregister();
+    if (scope.lookup("mail") != null || scope.lookup("mail.labels") != null) {
+      panic("Failed unregister check");
+    }
+  }
+
+  // A datastore can be created again after its scope is discarded.
+  for (var i = 0; i < 2; ++i) {
+    const datastore = registry.makeScope().use(
+        () => makeDatastore("namespaceTest", { count: makeBoxed(0, IntegerType) }));
+    if (datastore.getMember("count") == null) {
+      panic("Failed scoped datastore check");
+    }
+  }
+}
+
+function testMethodSignatures() {
+  const scope = Namespace.registry.makeScope();
+  const namespace = scope.use(() => new Namespace("signatureTest"));
+  const count = makeBoxed(3, IntegerType);
+  namespace.addMember(new Field(namespace, "count", count));
+
+  const repeat = new Method(namespace, "repeat", StringType,
+      makeConstantReference((text, times, ...separators) =>
+          new Array(getValue(times)).fill(text).join(separators.join("")), FunctionType), [
+    makeParameter("text", StringType),
+    makeOptionalParameter("times", IntegerType, 2),
+    makeVariadicParameter("separators", StringType)
+  ]);
+  namespace.addMember(repeat);
+
+  if (repeat.getSignature() !=
+      "repeat(text: string, times?: integer, ...separators?: string): string") {
+    panic("Failed signature check");
+  }
+
+  if (repeat.call([ "a" ]) != "aa" || repeat.call([ "a", count, "-", "+" ]) != "a-+a-+a" ||
+      repeat.call([ "a", 1 ]) != "a") {
+    panic("Failed method call check");
+  }
+
+  expectPanic(() => repeat.call([]), ArgumentError);
+  expectPanic(() => repeat.call([ 1 ]), ArgumentError);
+  expectPanic(() => repeat.call([ "a", makeBoxed("b", StringType) ]), ArgumentError);
+  expectPanic(() => repeat.call([ "a", 2, "-", 3 ]), ArgumentError);
+  expectPanic(() => new Method(namespace, "bad", NullType, null,
+      [ makeOptionalParameter("first", IntegerType), makeParameter("second", IntegerType) ]),
+      ReflectionError);
+
+  const join = new Method(namespace, "join", StringType,
+      makeConstantReference((...parts) => parts.join(""), FunctionType),
+      [ makeVariadicParameter("parts", StringType) ]);
+  const greet = new Method(namespace, "greet", StringType,
+      makeConstantReference((name) => "Hi, " + getValue(name), FunctionType),
+      [ makeOptionalParameter("name", StringType, "there") ]);
+  if (join.call([]) != "" || join.call([ "a", "b" ]) != "ab" || greet.call([]) != "Hi, there") {
+    panic("Failed zero argument check");
+  }
+  expectPanic(() => greet.call([ "a", "b" ]), ArgumentError);
+
+  const makeTextViewMethod = viewsNamespace.getMember("makeTextView");
+  if (makeTextViewMethod.parameters[1].type != StyleType || makeTextViewMethod.call(
+      [ "Hello", makeConstantReference(Styles.Header, StyleType) ]).text != "Hello") {
+    panic("Failed view maker check");
+  }
+
+  // Arguments are checked statically when the program is parsed.
+  const context = new ParserContext({ aliases: { t: "signatureTest" } }, scope);
+  const view = parseAndCheck([ "makeTextView", [ "t:repeat", "s:ab" ], "styles:Header" ],
+      context);
+  if (!(view instanceof CallConstruct) || view.type() != ViewType ||
+      view.evaluate(null).text != "abab") {
+    panic("Failed parse check");
+  }
+  expectPanic(() => parseAndCheck([ "makeTextView", "t:count" ], context), ArgumentError);
+  expectPanic(() => parseAndCheck([ "makeButtonView", "s:Go" ], context), ArgumentError);
+  expectPanic(() => parseAndCheck([ "makeTextView", "s:Go", "s:Header" ], context),
+      ArgumentError);
+  expectPanic(() => parseAndCheck(
+      [ "makeTextView", "s:Go", "styles:Header", "s:Tooltip", "s:" ], context), ArgumentError);
+  expectPanic(() => parseAndCheck([ "makeTextView", [ "t:repeat", "t:count" ] ], context),
+      ArgumentError);
+}
+
+function testSchemaExport() {
+  const scope = Namespace.registry.makeScope();
+  scope.use(function() {
+    const namespace = new Namespace("schemaTest");
+    addEnumType(namespace, "color", [ "RED", "GREEN" ]);
+    addRecordType(namespace, "point", { x: IntegerType, y: Optional(IntegerType) });
+    namespace.addMember(new Method(namespace, "scale", ObjectType, null, [
+      makeParameter("point", namespace.getMember("point")),
+      makeOptionalParameter("factor", IntegerType, 2)
+    ]));
+    makeDatastore("schemaData", { });
+  });
+
+  const schema = exportSchema(scope);
+  if (schema.schemaVersion != SCHEMA_VERSION || exportSchemaAsJson(scope) !=
+      JSON.stringify(exportSchema(scope), null, 2)) {
+    panic("Failed schema version check");
+  }
+
+  const names = schema.namespaces.map((namespace) => namespace.name);
+  const datastore = schema.namespaces.find((namespace) => namespace.name == "schemaData");
+  if (names.join(",") != [...names].sort().join(",") || !names.includes("elements") ||
+      datastore.kind != "datastore") {
+    panic("Failed namespace list check: " + names);
+  }
+
+  const namespace = schema.namespaces.find((namespace) => namespace.name == "schemaTest");
+  const members = namespace.members.map((member) => member.name + ":" + member.kind);
+  if (namespace.kind != "namespace" ||
+      members.join(",") != "GREEN:field,RED:field,color:type,point:type,scale:method") {
+    panic("Failed member list check: " + members);
+  }
+
+  const [ , red, color, point, scale ] = namespace.members;
+  if (red.type != "schemaTest:color" || color.typeKind != "enum" ||
+      color.values.join(",") != "RED,GREEN") {
+    panic("Failed enum export check");
+  }
+  if (point.typeKind != "record" || point.fields[1].name != "y" ||
+      point.fields[1].type != "optional<integer>") {
+    panic("Failed record export check");
+  }
+  if (scale.resultType != "elements:object" || scale.parameters.length != 2 ||
+      scale.parameters[0].type != "schemaTest:point" || scale.parameters[1].default != 2 ||
+      !scale.parameters[1].optional || scale.parameters[1].variadic) {
+    panic("Failed method export check");
+  }
+
+  const elements = exportSchema().namespaces.find((namespace) => namespace.name == "elements");
+  const stringJoinSchema = elements.members.find((member) => member.name == "stringJoin");
+  if (!stringJoinSchema.parameters[0].variadic) {
+    panic("Failed elements export check");
+  }
+}
+
+function testDocumentation() {
+  const makeButtonViewMethod = viewsNamespace.getMember("makeButtonView");
+  if (makeButtonViewMethod.doc != "A button that performs an action." ||
+      makeButtonViewMethod.parameters[1].doc != "Invoked when the button is clicked." ||
+      elementsNamespace.getMember("ONLINE").doc != "The state is synchronized with the server." ||
+      elementsNamespace.getMember("Priority").doc == null ||
+      stylesNamespace.getMember("RedText").doc == null ||
+      makeParameter("name", StringType).doc != null ||
+      makeOptionalParameter("name", StringType, "none").setDoc("A name.").doc != "A name.") {
+    panic("Failed member documentation check");
+  }
+
+  // All the fields, methods and parameters of the built-in namespaces are documented;
+  // testEnums() adds an undocumented TestEnum to the elements namespace.
+  const testEnum = elementsNamespace.getMember("TestEnum");
+  for (const namespace of [ elementsNamespace, viewsNamespace, stylesNamespace ]) {
+    for (const member of namespace.membersByName.values()) {
+      if (member instanceof Field && member.fieldReference.type == testEnum) {
+        continue;
+      }
+      const parameters = member instanceof Method && member.parameters ? member.parameters : [];
+      if ((member instanceof Field || member instanceof Method) && (member.doc == null ||
+          !member.doc.endsWith(".") || parameters.some((parameter) =>
+              parameter.doc == null || !parameter.doc.endsWith(".")))) {
+        panic("Failed documentation coverage check: " + member.name);
+      }
+    }
+  }
+
+  if (describeMember(makeButtonViewMethod) !=
+      "makeButtonView(text: string, action: function, style?: style): view\n" +
+      "A button that performs an action.\ntext: The label of the button.\n" +
+      "action: Invoked when the button is clicked.\nstyle: The style of the view.") {
+    panic("Failed member description check");
+  }
+
+  // View Source shows the documentation as tooltips.
+  const construct = parseAndCheck([ "makeButtonView", "s:Go", "elements:stringJoin",
+      "styles:RedText" ]);
+  const lifespan = new Lifespan(new TestZone());
+  const body = new FakeNode("body");
+  body.appendChild(getValue(formatConstructAsView(construct).render(lifespan)));
+  const titles = [];
+  function collectTitles(node) {
+    if (node.attributes.has("title")) {
+      titles.push(node.attributes.get("title"));
+    }
+    node.childNodes.forEach(collectTitles);
+  }
+  collectTitles(body);
+  if (titles.length != 3 || titles[0] != describeMember(makeButtonViewMethod) ||
+      !titles[1].startsWith("stringJoin(...values?: object): string\n") ||
+      titles[2] != "RedText: style\nRed text, for destructive actions and warnings.") {
+    panic("Failed tooltip check: " + titles);
+  }
+  lifespan.finish();
+
+  const views = exportSchema().namespaces.find((namespace) => namespace.name == "views");
+  const textViewSchema = views.members.find((member) => member.name == "makeTextView");
+  if (textViewSchema.doc != "A piece of text." ||
+      textViewSchema.parameters[2].doc != "Text shown on hover.") {
+    panic("Failed schema documentation check");
+  }
+
+  const datastore = Namespace.registry.makeScope().use(() => makeDatastore("docTest", {
+    count: makeBoxed(0, IntegerType),
+    reset: makeConstantReference(() => setValue(datastore.count, 0), FunctionType)
+  }, { count: "The number of items.", reset: "Sets the count to zero." }));
+  const historySpan = new Lifespan(new TestZone());
+  trackDatastoreHistory(datastore, historySpan);
+  if (datastore.getMember("count").doc != "The number of items." ||
+      datastore.getMember("reset").doc != "Sets the count to zero." ||
+      datastore.getMember("syncStatus").doc == null || datastore.getMember("undo").doc == null ||
+      datastore.getMember("canRedo").doc == null) {
+    panic("Failed datastore documentation check");
+  }
+  historySpan.finish();
+}
+
+function expectPanic(procedure, errorClass) {
+  var panicked = false;
+  try {
+    procedure();
+  } catch (e) {
+    if (errorClass && !(e instanceof errorClass)) {
+      panic("Expected " + errorClass.name + ", got " + e);
+    }
+    panicked = true;
+  }
+
+  if (!panicked) {
+    panic("Expected panic");
+  }
+}
+
 function runTest(name, testProcedure) {
   process.stdout.write("Testing " + name + "... ");
   testProcedure();
@@ -90,5 +1827,30 @@ function runTest(name, testProcedure) {
 }
 
 runTest("enums", testEnums);
+runTest("record types", testRecordTypes);
+runTest("parameterized types", testParameterizedTypes);
+runTest("type validation", testTypeValidation);
 runTest("dependencies", testDependecies);
+runTest("automatic dependencies", testAutomaticDependencies);
+runTest("diamond dependencies", testDiamondDependencies);
+runTest("type equality", testTypeEquality);
+runTest("observable list", testObservableList);
+runTest("observable map", testObservableMap);
+runTest("list combinators", testListCombinators);
+runTest("format operator", testFormatOp);
+runTest("transactions", testTransactions);
+runTest("error handling", testErrorHandling);
 runTest("sync", testSync);
+runTest("test zone", testTestZone);
+runTest("datastore sync", testDatastoreSync);
+runTest("lifespan tracker", testLifespanTracker);
+runTest("dependency graph", testDependencyGraph);
+runTest("undo history", testUndoHistory);
+runTest("async reference", testAsyncReference);
+runTest("time operators", testTimeOperators);
+runTest("persistent boxed", testPersistentBoxed);
+runTest("view lifespans", testViewLifespans);
+runTest("namespaces", testNamespaces);
+runTest("method signatures", testMethodSignatures);
+runTest("schema export", testSchemaExport);
+runTest("documentation", testDocumentation);